@@ -0,0 +1,28 @@
+-- Places besides email where a user's reports are posted, e.g. a Slack
+-- channel's incoming webhook. A user can have any number of channels.
+CREATE TABLE IF NOT EXISTS delivery_channels (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    type TEXT NOT NULL CHECK (type IN ('slack', 'discord', 'webhook')),
+    -- Incoming webhook URL for Slack and Discord, or the receiver's endpoint; must be https
+    url TEXT NOT NULL,
+    -- HMAC key for the X-Lazy-Trends-Signature header, required for 'webhook'
+    secret TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+
+    -- Set when a new analysis succeeds and cleared once it was delivered,
+    -- like users.analysis_ready_for_email but per channel
+    analysis_ready BOOLEAN NOT NULL DEFAULT FALSE,
+    last_delivered_at TIMESTAMP WITH TIME ZONE,
+    last_delivered_run_id UUID REFERENCES workflow_runs(id) ON DELETE SET NULL,
+
+    -- Last attempt and, if it failed, why
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS delivery_channels_user_id_idx
+    ON delivery_channels (user_id);
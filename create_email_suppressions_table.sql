@@ -0,0 +1,17 @@
+-- Addresses that must not be emailed again, fed by the mail provider's
+-- bounce and complaint webhooks
+CREATE TABLE IF NOT EXISTS email_suppressions (
+    -- Stored lowercased
+    email TEXT PRIMARY KEY,
+
+    -- Why the address is suppressed
+    reason TEXT NOT NULL
+        CHECK (reason IN ('hard_bounce', 'complaint', 'blocked', 'invalid_email', 'unsubscribed')),
+    provider TEXT NOT NULL,
+
+    -- When the provider saw the event, and what it reported (e.g. the bounce message)
+    event_at TIMESTAMP WITH TIME ZONE,
+    details JSONB NOT NULL DEFAULT '{}',
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
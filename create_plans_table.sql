@@ -0,0 +1,19 @@
+-- Plans and the workflow limits and monthly quota that come with them
+CREATE TABLE IF NOT EXISTS plans (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+
+    -- Defaults and upper limits of each analysis; users can choose less
+    videos_per_query SMALLINT NOT NULL CHECK (videos_per_query > 0),
+    query_count SMALLINT NOT NULL CHECK (query_count > 0),
+
+    -- Successful workflow runs per calendar month (UTC); NULL means unlimited
+    monthly_run_quota INTEGER CHECK (monthly_run_quota >= 0)
+);
+
+-- Starting values; edit the rows to change a plan. Users without a plan are on 'free'.
+INSERT INTO plans (id, name, videos_per_query, query_count, monthly_run_quota) VALUES
+    ('free', 'Free', 3, 3, 8),
+    ('pro', 'Pro', 5, 5, 31),
+    ('business', 'Business', 10, 10, NULL)
+ON CONFLICT (id) DO NOTHING;
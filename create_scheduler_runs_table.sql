@@ -0,0 +1,41 @@
+-- One row per scheduler invocation, summarizing what it did
+CREATE TABLE IF NOT EXISTS scheduler_runs (
+    -- The run ID that also appears in every log line of the run
+    id UUID PRIMARY KEY,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    finished_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    duration_ms INTEGER NOT NULL,
+
+    -- 'failed' means the run stopped on a fatal error, e.g. the users
+    -- could not be read; failures of single users are counted below
+    status TEXT NOT NULL CHECK (status IN ('succeeded', 'failed')),
+    error_message TEXT,
+
+    users_considered INTEGER NOT NULL DEFAULT 0,
+    analyses_succeeded INTEGER NOT NULL DEFAULT 0,
+    analyses_failed INTEGER NOT NULL DEFAULT 0,
+    analyses_skipped INTEGER NOT NULL DEFAULT 0,
+    analyses_deferred INTEGER NOT NULL DEFAULT 0,
+    emails_sent INTEGER NOT NULL DEFAULT 0,
+    emails_failed INTEGER NOT NULL DEFAULT 0,
+    emails_skipped INTEGER NOT NULL DEFAULT 0,
+    emails_deferred INTEGER NOT NULL DEFAULT 0,
+
+    -- Skipped steps by reason, e.g. {"analysis": {"not_due": 40}, "email": {"opted_out": 1}}
+    skip_reasons JSONB NOT NULL DEFAULT '{}',
+    -- Duration of each phase, e.g. {"analysis": 91000, "email": 4200}
+    phase_durations_ms JSONB NOT NULL DEFAULT '{}',
+
+    -- Failed steps divided by attempted steps (0 if nothing was attempted)
+    failure_rate NUMERIC NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS scheduler_runs_started_at_idx
+    ON scheduler_runs (started_at DESC);
+
+-- Reports posted per delivery channel, e.g. {"slack": {"sent": 12, "failed": 1}},
+-- added after the table was first created
+ALTER TABLE scheduler_runs ADD COLUMN IF NOT EXISTS channel_deliveries JSONB NOT NULL DEFAULT '{}';
+
+-- "We couldn't refresh your trends" notices sent instead of a report
+ALTER TABLE scheduler_runs ADD COLUMN IF NOT EXISTS emails_notice_sent INTEGER NOT NULL DEFAULT 0;
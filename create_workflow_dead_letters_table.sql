@@ -0,0 +1,22 @@
+-- Users whose workflow still failed after retries, waiting to be retried on a later tick
+CREATE TABLE IF NOT EXISTS workflow_dead_letters (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- The email slot the failed run was preparing; retries stop once it arrives
+    scheduled_for TIMESTAMP WITH TIME ZONE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'resolved', 'expired')),
+    attempts INTEGER NOT NULL DEFAULT 1,
+    last_error TEXT,
+    error_details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+
+    UNIQUE (user_id, scheduled_for)
+);
+
+CREATE INDEX IF NOT EXISTS workflow_dead_letters_pending_idx
+    ON workflow_dead_letters (scheduled_for)
+    WHERE status = 'pending';
@@ -0,0 +1,55 @@
+-- Per-user leases that stop overlapping cron invocations from processing the same user
+CREATE TABLE IF NOT EXISTS workflow_leases (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    phase TEXT NOT NULL CHECK (phase IN ('analysis', 'email')),
+
+    -- Run ID of the invocation holding the lease
+    owner TEXT NOT NULL,
+    acquired_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    PRIMARY KEY (user_id, phase)
+);
+
+-- Claim a lease if nobody else holds an unexpired one.
+-- Uses the database clock, so invocations on different hosts agree on expiry.
+CREATE OR REPLACE FUNCTION claim_workflow_lease(
+    p_user_id UUID,
+    p_phase TEXT,
+    p_owner TEXT,
+    p_ttl_seconds INTEGER
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    claimed_count INTEGER;
+BEGIN
+    INSERT INTO workflow_leases (user_id, phase, owner, acquired_at, expires_at)
+    VALUES (p_user_id, p_phase, p_owner, NOW(), NOW() + make_interval(secs => p_ttl_seconds))
+    ON CONFLICT (user_id, phase) DO UPDATE
+        SET owner = EXCLUDED.owner,
+            acquired_at = EXCLUDED.acquired_at,
+            expires_at = EXCLUDED.expires_at
+        WHERE workflow_leases.expires_at < NOW()
+           OR workflow_leases.owner = EXCLUDED.owner;
+
+    GET DIAGNOSTICS claimed_count = ROW_COUNT;
+    RETURN claimed_count > 0;
+END;
+$$;
+
+-- Release a lease, but only if it is still held by the given owner
+CREATE OR REPLACE FUNCTION release_workflow_lease(
+    p_user_id UUID,
+    p_phase TEXT,
+    p_owner TEXT
+)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+    DELETE FROM workflow_leases
+    WHERE user_id = p_user_id
+      AND phase = p_phase
+      AND owner = p_owner;
+$$;
@@ -0,0 +1,47 @@
+-- Per-user history of scheduled workflow runs and their email delivery
+CREATE TABLE IF NOT EXISTS workflow_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- The email slot this run prepares results for
+    scheduled_for TIMESTAMP WITH TIME ZONE NOT NULL,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE,
+    status TEXT NOT NULL DEFAULT 'running'
+        CHECK (status IN ('running', 'succeeded', 'failed', 'skipped')),
+
+    -- Why the run failed or was skipped
+    error_message TEXT,
+    error_details JSONB,
+
+    -- Raw complete-workflow payload
+    result JSONB,
+
+    -- Email delivery outcome for this run's results; 'notice_sent' means the
+    -- run failed in the email hour and the user was told instead
+    email_status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (email_status IN ('pending', 'sent', 'notice_sent', 'failed', 'skipped')),
+    email_sent_at TIMESTAMP WITH TIME ZONE,
+    email_error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS workflow_runs_user_scheduled_for_idx
+    ON workflow_runs (user_id, scheduled_for DESC);
+
+-- Usage per run, added after the table was first created
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS plan TEXT;
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS workflow_options JSONB;
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS queries_analyzed INTEGER;
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS videos_analyzed INTEGER;
+
+-- Runs started in the email hour because the results were stale or
+-- missing, and tables created before 'notice_sent' was allowed
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS refresh_reason TEXT;
+ALTER TABLE workflow_runs DROP CONSTRAINT IF EXISTS workflow_runs_email_status_check;
+ALTER TABLE workflow_runs ADD CONSTRAINT workflow_runs_email_status_check
+    CHECK (email_status IN ('pending', 'sent', 'notice_sent', 'failed', 'skipped'));
+
+-- Monthly quota checks count a user's successful runs
+CREATE INDEX IF NOT EXISTS workflow_runs_user_succeeded_idx
+    ON workflow_runs (user_id, started_at)
+    WHERE status = 'succeeded';
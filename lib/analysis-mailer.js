@@ -0,0 +1,99 @@
+import { renderAnalysisEmail, renderRefreshFailedNotice } from './email-renderer.js';
+
+/**
+ * Create a mailer that renders and sends analysis emails, and the notices sent in their place
+ * @param {Object} options - Mailer options
+ * @param {import('./mail-transports.js').MailTransport} options.transport - Transport that delivers the email
+ * @param {string} options.senderEmail - From address
+ * @param {Object} [options.links] - Signed unsubscribe and preferences links, from createEmailLinks
+ * @param {Object} options.logger - Logger used when a send doesn't pass its own
+ * @returns {{send: Function, sendRefreshFailedNotice: Function}}
+ */
+export function createAnalysisMailer({ transport, senderEmail, links = null, logger: mailerLogger }) {
+  /**
+   * Render and send one email to a user
+   * @param {Object} user - User object
+   * @param {Function} render - Called with the user's signed links, returns the rendered email
+   * @param {Object} logger - Logger carrying the user's context
+   * @returns {Promise<boolean>} - True once the email has been sent
+   * @throws {Error} - If the email could not be sent
+   */
+  async function deliver(user, render, logger) {
+    try {
+      if (!user.email) {
+        throw new Error('No email address found for user');
+      }
+
+      const userLinks = links && {
+        unsubscribe: links.unsubscribeUrl(user.id),
+        preferences: links.preferencesUrl(user.id)
+      };
+      const { subject, html, text } = render(userLinks);
+
+      // Send the email
+      const response = await transport.send({
+        to: { email: user.email, name: user.full_name || user.email },
+        from: {
+          email: senderEmail,
+          name: 'The Complete Lazy Trend'
+        },
+        subject,
+        html,
+        text,
+        // One-click unsubscribe (RFC 8058), shown by Gmail, Outlook and Apple Mail next to the sender
+        ...(userLinks && {
+          headers: {
+            'List-Unsubscribe': `<${userLinks.unsubscribe}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+          }
+        })
+      });
+      logger.info('Email sent', {
+        transport: transport.name,
+        messageId: response?.messageId ?? null,
+        // Where the file transport wrote the message
+        ...(response?.path && { path: response.path })
+      });
+      return true;
+    } catch (error) {
+      logger.error('Error sending email', { transport: transport.name, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Send email with analysis results to user
+   * @param {Object} user - User object
+   * @param {Object} analysisResults - Results from the workflow
+   * @param {Object} [options] - Send options
+   * @param {Date|string} [options.reportDate] - Slot the results were prepared for
+   * @param {{results: Object, date: Date|string}} [options.previous] - The user's previous report, for "What's new"
+   * @param {Object} [options.logger] - Logger carrying the user's context
+   * @returns {Promise<boolean>} - True once the email has been sent
+   * @throws {Error} - If the email could not be sent
+   */
+  async function send(user, analysisResults, { reportDate = null, previous = null, logger = mailerLogger } = {}) {
+    return deliver(user, userLinks => {
+      const email = renderAnalysisEmail(user, analysisResults, { links: userLinks, date: reportDate, previous });
+      for (const { field, reason } of email.unparsed) {
+        logger.warn('Marketing strategy field could not be fully parsed', { field, reason });
+      }
+      return email;
+    }, logger);
+  }
+
+  /**
+   * Tell a user their results couldn't be refreshed for a slot
+   * @param {Object} user - User object
+   * @param {Object} [options] - Send options
+   * @param {Date|string} [options.reportDate] - Slot the report was due for
+   * @param {Object} [options.logger] - Logger carrying the user's context
+   * @returns {Promise<boolean>} - True once the email has been sent
+   * @throws {Error} - If the email could not be sent
+   */
+  async function sendRefreshFailedNotice(user, { reportDate = null, logger = mailerLogger } = {}) {
+    return deliver(user, userLinks => renderRefreshFailedNotice(user, { links: userLinks, date: reportDate }), logger);
+  }
+
+  return { send, sendRefreshFailedNotice };
+}
@@ -0,0 +1,268 @@
+import { SECTION_KEYS } from './report.js';
+
+// Message catalog keys of the section headings
+const SECTION_TITLES = {
+  observations: 'strategy.observations',
+  keyTakeaways: 'strategy.keyTakeaways',
+  sampleScript: 'strategy.sampleScript',
+  technicalSpecifications: 'strategy.technicalSpecifications',
+  contentThemes: 'strategy.contentThemes',
+  hashtagStrategy: 'strategy.hashtagStrategy',
+  postingFrequency: 'strategy.postingFrequency'
+};
+
+// Platform limits, see https://api.slack.com/reference/block-kit/blocks and
+// https://discord.com/developers/docs/resources/message#embed-object-embed-limits
+const SLACK_MAX_TEXT = 3000;
+const SLACK_MAX_BLOCKS = 50;
+const DISCORD_MAX_DESCRIPTION = 4096;
+const DISCORD_MAX_FIELD_VALUE = 1024;
+const DISCORD_MAX_FIELDS = 25;
+const DISCORD_COLOR = 0xfe2c55;
+
+/**
+ * Shorten text to a platform limit, marking the cut with an ellipsis
+ * @param {string} text - Text to shorten
+ * @param {number} max - Longest allowed length
+ * @returns {string}
+ */
+function truncate(text, max) {
+  return text.length <= max ? text : `${text.slice(0, max - 1)}…`;
+}
+
+/**
+ * Escape text for Slack mrkdwn
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape text for Discord markdown
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeDiscord(text) {
+  return String(text).replace(/([\\*_~`|>[\]()#-])/g, '\\$1');
+}
+
+/**
+ * @typedef {Object} MarkdownDialect
+ * @property {Function} escape - Escapes plain text
+ * @property {Function} bold - Formats a heading
+ * @property {Function} link - Formats a link, called with (text, url)
+ */
+
+const SLACK = {
+  escape: escapeSlack,
+  bold: text => `*${escapeSlack(text)}*`,
+  link: (text, url) => `<${url}|${escapeSlack(text)}>`
+};
+
+const DISCORD = {
+  escape: escapeDiscord,
+  bold: text => `**${escapeDiscord(text)}**`,
+  link: (text, url) => `[${escapeDiscord(text)}](${url})`
+};
+
+/**
+ * Turn list and paragraph blocks into lines
+ * @param {Array<Object>} blocks - Blocks from the strategy parser
+ * @param {MarkdownDialect} dialect - Markdown flavour
+ * @returns {Array<string>}
+ */
+function blockLines(blocks, dialect) {
+  return blocks.flatMap(block => block.items
+    ? block.items.map(item => `• ${dialect.escape(item)}`)
+    : block.lines.map(dialect.escape));
+}
+
+/**
+ * Render one strategy section as markdown lines, without its heading
+ * @param {string} key - Section key, one of SECTION_KEYS
+ * @param {Object} section - Parsed section
+ * @param {Function} t - Translator
+ * @param {MarkdownDialect} dialect - Markdown flavour
+ * @returns {Array<string>}
+ */
+function sectionLines(key, section, t, dialect) {
+  switch (key) {
+    case 'sampleScript':
+      return [
+        dialect.bold(t('strategy.visualCues')),
+        ...(section.visualCues.length > 0 ? section.visualCues.map(cue => `• ${dialect.escape(cue)}`) : [dialect.escape(t('strategy.notSpecified'))]),
+        dialect.bold(t('strategy.voiceover')),
+        ...(section.voiceover.length > 0 ? section.voiceover.map(dialect.escape) : [dialect.escape(t('strategy.notSpecified'))])
+      ];
+    case 'contentThemes':
+      return section.map(theme => `• ${dialect.escape(theme)}`);
+    case 'hashtagStrategy':
+      return section.groups.map(group => {
+        const tags = group.tags.length > 0 ? group.tags.join(' ') : t('strategy.noHashtags');
+        return dialect.escape(group.title ? `${group.title}: ${tags}` : tags);
+      });
+    default:
+      return blockLines(section.blocks, dialect);
+  }
+}
+
+/**
+ * List a report's strategy sections as headings with markdown bodies
+ * @param {Object} report - Report, from buildReport
+ * @param {MarkdownDialect} dialect - Markdown flavour
+ * @returns {Array<{title: string, body: string}>}
+ */
+function strategySections(report, dialect) {
+  const { strategy, i18n: { t } } = report;
+  const sections = SECTION_KEYS
+    .filter(key => strategy[key])
+    .map(key => ({ title: t(SECTION_TITLES[key]), body: sectionLines(key, strategy[key], t, dialect).join('\n') }));
+
+  if (strategy.closingNote) {
+    sections.push({ title: '', body: dialect.escape(strategy.closingNote) });
+  }
+  return sections;
+}
+
+/**
+ * Render the "What's new" part of a report as markdown lines
+ * @param {Object} report - Report, from buildReport
+ * @param {MarkdownDialect} dialect - Markdown flavour
+ * @returns {Array<string>}
+ */
+function whatsNewLines(report, dialect) {
+  const { whatsNew, i18n: { t } } = report;
+  const lines = [dialect.escape(t('whatsNew.since', { date: whatsNew.since }))];
+  if (!whatsNew.hasChanges) {
+    return [...lines, dialect.escape(t('whatsNew.noChanges'))];
+  }
+
+  const list = (key, items, prefix) => {
+    if (items.length > 0) {
+      lines.push(dialect.bold(t(key)), ...items.map(item => `${prefix} ${dialect.escape(item)}`));
+    }
+  };
+  if (whatsNew.hashtags.added.length > 0) {
+    lines.push(`${dialect.bold(t('whatsNew.newHashtags'))} ${dialect.escape(whatsNew.hashtags.added.join(' '))}`);
+  }
+  if (whatsNew.hashtags.dropped.length > 0) {
+    lines.push(`${dialect.bold(t('whatsNew.droppedHashtags'))} ${dialect.escape(whatsNew.hashtags.dropped.join(' '))}`);
+  }
+  list('whatsNew.newThemes', whatsNew.newThemes, '+');
+  list('whatsNew.newTakeaways', whatsNew.takeaways.added, '+');
+  list('whatsNew.droppedTakeaways', whatsNew.takeaways.dropped, '−');
+  if (whatsNew.newVideos.length > 0) {
+    lines.push(dialect.bold(t('whatsNew.newVideos')));
+    lines.push(...whatsNew.newVideos.map(video => `+ ${video.url ? dialect.link(video.title, video.url) : dialect.escape(video.title)}`));
+    if (whatsNew.moreVideos > 0) {
+      lines.push(dialect.escape(t('whatsNew.moreVideos', { count: whatsNew.moreVideos })));
+    }
+  }
+  return lines;
+}
+
+/**
+ * Summarize a report's date and stats in one line
+ * @param {Object} report - Report, from buildReport
+ * @returns {string}
+ */
+function statsLine(report) {
+  const { i18n, stats, reportDate } = report;
+  return [
+    i18n.formatDate(reportDate),
+    i18n.t('stats.queries', { count: stats.queriesCount }),
+    i18n.t('stats.videos', { count: stats.videosCount })
+  ].join(' · ');
+}
+
+/**
+ * Render a report as a Slack message with Block Kit blocks
+ * @param {Object} report - Report, from buildReport
+ * @returns {Object} - Body for a Slack incoming webhook
+ */
+export function renderSlackMessage(report) {
+  const { t } = report.i18n;
+  const section = text => ({ type: 'section', text: { type: 'mrkdwn', text: truncate(text, SLACK_MAX_TEXT) } });
+
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: truncate(t('title'), 150) } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(statsLine(report)) }] }
+  ];
+
+  if (report.whatsNew) {
+    blocks.push(section([SLACK.bold(t('whatsNew.heading')), ...whatsNewLines(report, SLACK)].join('\n')));
+  }
+
+  blocks.push({ type: 'divider' });
+  if (report.strategy.hasContent) {
+    for (const { title, body } of strategySections(report, SLACK)) {
+      blocks.push(section(title ? `${SLACK.bold(title)}\n${body}` : body));
+    }
+  } else {
+    blocks.push(section(escapeSlack(t('strategy.empty'))));
+  }
+
+  return {
+    // Shown in notifications and by clients that can't display blocks
+    text: t('subject'),
+    blocks: blocks.slice(0, SLACK_MAX_BLOCKS)
+  };
+}
+
+/**
+ * Render a report as a Discord message with one embed
+ * @param {Object} report - Report, from buildReport
+ * @returns {Object} - Body for a Discord webhook
+ */
+export function renderDiscordMessage(report) {
+  const { t } = report.i18n;
+  const descriptionLines = [escapeDiscord(statsLine(report))];
+  if (report.whatsNew) {
+    descriptionLines.push('', DISCORD.bold(t('whatsNew.heading')), ...whatsNewLines(report, DISCORD));
+  }
+
+  const fields = report.strategy.hasContent
+    ? strategySections(report, DISCORD).map(({ title, body }) => ({
+      // Discord requires a name; a zero-width space leaves it blank
+      name: truncate(title || '\u200b', 256),
+      value: truncate(body, DISCORD_MAX_FIELD_VALUE)
+    }))
+    : [{ name: t('strategy.heading'), value: escapeDiscord(t('strategy.empty')) }];
+
+  return {
+    embeds: [{
+      title: truncate(t('title'), 256),
+      description: truncate(descriptionLines.join('\n'), DISCORD_MAX_DESCRIPTION),
+      color: DISCORD_COLOR,
+      fields: fields.slice(0, DISCORD_MAX_FIELDS),
+      footer: { text: t('footer.team') },
+      timestamp: report.reportDate.toISOString()
+    }]
+  };
+}
+
+/**
+ * Render a report as the JSON body of a generic webhook
+ * The parsed strategy is sent as-is, so receivers don't have to parse markdown.
+ * @param {Object} report - Report, from buildReport
+ * @param {Object} context - Delivery context
+ * @param {string} context.userId - User the report is for
+ * @param {string} context.workflowRunId - Workflow run the report was built from
+ * @returns {Object}
+ */
+export function renderWebhookPayload(report, { userId, workflowRunId }) {
+  const { unparsed, hasContent, ...strategy } = report.strategy;
+  return {
+    type: 'trend_report',
+    userId,
+    workflowRunId,
+    reportDate: report.reportDate.toISOString(),
+    language: report.language,
+    title: report.i18n.t('subject'),
+    stats: report.stats,
+    strategy,
+    whatsNew: report.whatsNew
+  };
+}
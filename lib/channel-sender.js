@@ -0,0 +1,79 @@
+import { createHmac } from 'node:crypto';
+import axios from 'axios';
+import { renderDiscordMessage, renderSlackMessage, renderWebhookPayload } from './channel-renderers.js';
+
+export const CHANNEL_TYPES = ['slack', 'discord', 'webhook'];
+
+// Slack and Discord answer within a second or two; a slow receiver
+// shouldn't hold up the rest of the user's deliveries
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Sign a webhook body
+ * Receivers recompute the HMAC over `<timestamp>.<body>` with the channel's
+ * secret and reject old timestamps, so captured requests can't be replayed.
+ * @param {string} body - Raw JSON body
+ * @param {string} secret - The channel's signing secret
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} - Value of the X-Lazy-Trends-Signature header
+ */
+export function signWebhookBody(body, secret, timestamp) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Create the sender that posts reports to Slack, Discord and generic webhooks
+ * @param {Object} options - Sender options
+ * @param {number} [options.timeoutMs] - Time allowed per request
+ * @param {Object} [options.http] - HTTP client with an axios-compatible post method
+ * @returns {{deliver: Function}}
+ */
+export function createChannelSender({ timeoutMs = DEFAULT_TIMEOUT_MS, http = axios } = {}) {
+  /**
+   * Post a report to one channel
+   * @param {Object} channel - delivery_channels row
+   * @param {Object} report - Report, from buildReport
+   * @param {Object} context - Delivery context
+   * @param {string} context.userId - User the report is for
+   * @param {string} context.workflowRunId - Workflow run the report was built from
+   * @param {AbortSignal} [context.signal] - Cancels the request
+   * @returns {Promise<void>}
+   * @throws {Error} - If the channel is misconfigured or the request fails
+   */
+  async function deliver(channel, report, { userId, workflowRunId, signal }) {
+    if (!/^https:\/\//i.test(channel.url || '')) {
+      throw new Error('Channel URL must be an https URL');
+    }
+
+    const options = { signal, timeout: timeoutMs };
+    switch (channel.type) {
+      case 'slack':
+        await http.post(channel.url, renderSlackMessage(report), options);
+        return;
+      case 'discord':
+        await http.post(channel.url, renderDiscordMessage(report), options);
+        return;
+      case 'webhook': {
+        if (!channel.secret) {
+          throw new Error('Webhook channel has no signing secret');
+        }
+        // Signed as sent, so the body must not be re-serialized on the way
+        const body = JSON.stringify(renderWebhookPayload(report, { userId, workflowRunId }));
+        const timestamp = Math.floor(Date.now() / 1000);
+        await http.post(channel.url, body, {
+          ...options,
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Lazy-Trends-Timestamp': String(timestamp),
+            'X-Lazy-Trends-Signature': signWebhookBody(body, channel.secret, timestamp)
+          }
+        });
+        return;
+      }
+      default:
+        throw new Error(`Unknown channel type '${channel.type}'`);
+    }
+  }
+
+  return { deliver };
+}
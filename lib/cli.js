@@ -0,0 +1,253 @@
+import { randomUUID } from 'node:crypto';
+import http from 'node:http';
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import { createAnalysisMailer } from './analysis-mailer.js';
+import { createChannelSender } from './channel-sender.js';
+import { loadConfig } from './config.js';
+import { createEmailLinks } from './email-links.js';
+import { createEmailRequestHandler } from './email-server.js';
+import { formatHealthReport, runHealthChecks } from './healthcheck.js';
+import { createLogger } from './logger.js';
+import { createFileTransport, createMailTransport } from './mail-transports.js';
+import { createRunReporter } from './run-reporter.js';
+import { createScheduler } from './scheduler.js';
+import { createUserRepository } from './user-repository.js';
+import { createWorkflowClient } from './workflow-client.js';
+
+const COMMANDS = ['run', 'healthcheck', 'serve'];
+
+// Time allowed for each health check
+const HEALTHCHECK_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * Parse command-line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - Options for runScheduledWorkflows, plus `command` and `help`
+ * @throws {Error} - If a command or option is unknown or invalid
+ */
+export function parseCliOptions(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      at: { type: 'string' },
+      user: { type: 'string' },
+      phase: { type: 'string' },
+      preview: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  let at = null;
+  if (values.at !== undefined) {
+    at = new Date(values.at);
+    if (Number.isNaN(at.getTime())) {
+      throw new Error(`Invalid --at time '${values.at}'. Use an ISO 8601 time such as 2026-10-19T08:00:00Z.`);
+    }
+  }
+
+  const [command = 'run', ...extra] = positionals;
+  if (!COMMANDS.includes(command) || extra.length > 0) {
+    throw new Error(`Unknown command '${positionals.join(' ')}'. Use 'healthcheck', 'serve' or no command to run the scheduler.`);
+  }
+
+  if (values.phase !== undefined && !['analysis', 'email'].includes(values.phase)) {
+    throw new Error(`Invalid --phase '${values.phase}'. Use 'analysis' or 'email'.`);
+  }
+
+  return {
+    command,
+    dryRun: values['dry-run'],
+    at,
+    user: values.user || null,
+    phase: values.phase || null,
+    preview: values.preview,
+    help: values.help
+  };
+}
+
+export const USAGE = `Usage: node scheduled-workflow-with-timezone.js [healthcheck|serve] [options]
+
+Commands:
+  (none)                     Run the analyses and emails that are due
+  healthcheck                Check the configuration, the database, the backend and the mail
+                             provider without processing any users
+  serve                      Serve unsubscribe and preferences links and the mail provider's
+                             bounce and complaint webhook on PORT
+
+Options:
+  --dry-run                  Report which users would be analyzed or emailed and why, without
+                             calling the backend, changing the database or sending email
+  --at <ISO time>            Evaluate schedules as if it were this time (e.g. 2026-10-19T08:00:00Z)
+  --user <email|id>          Run one user's analysis and email now, ignoring their schedule
+  --phase <analysis|email>   Run only the analysis or only the email phase
+  --preview                  Write rendered emails to MAIL_OUTPUT_DIR (default: outbox) instead of
+                             sending them; email state is left untouched
+  -h, --help                 Show this help`;
+
+/**
+ * Wire up the real Supabase, backend and mail clients
+ * @param {Object} config - Scheduler configuration, from loadConfig
+ * @returns {Object} - Run ID, logger, repository, workflow client, mail transport and email links
+ */
+function createProductionServices(config) {
+  // Identifies this invocation in logs and as the owner of the leases it takes
+  const runId = randomUUID();
+
+  const logger = createLogger({ level: config.logLevel, salt: config.logHashSalt, context: { runId } });
+  const supabase = createClient(config.supabaseUrl, config.supabaseServiceKey);
+
+  return {
+    runId,
+    logger,
+    repository: createUserRepository(supabase, { leaseOwner: runId, leaseTtlMs: config.leaseTtlMs, logger }),
+    workflowClient: createWorkflowClient({
+      baseUrl: config.apiBaseUrl,
+      timeoutMs: config.workflowTimeoutMs,
+      maxRetries: config.workflowMaxRetries,
+      retryBaseDelayMs: config.workflowRetryBaseDelayMs,
+      retryMaxDelayMs: config.workflowRetryMaxDelayMs,
+      logger
+    }),
+    // Brevo by default, see MAIL_TRANSPORT
+    mailTransport: createMailTransport(config),
+    // Not configured for dry runs, previews and local transports; emails then have no links
+    links: config.emailLinkSecret && config.publicBaseUrl
+      ? createEmailLinks({ secret: config.emailLinkSecret, baseUrl: config.publicBaseUrl })
+      : null
+  };
+}
+
+/**
+ * Create the scheduler with production dependencies
+ * @param {Object} services - Services from createProductionServices
+ * @param {Object} config - Scheduler configuration
+ * @returns {Object} - Scheduler
+ */
+function createProductionScheduler({ runId, logger, repository, workflowClient, mailTransport, links }, config) {
+  return createScheduler({
+    repository,
+    workflowClient,
+    mailer: createAnalysisMailer({ transport: mailTransport, senderEmail: config.emailSender, links, logger }),
+    // Used by --preview to write emails to disk instead of sending them
+    previewMailer: createAnalysisMailer({
+      transport: createFileTransport({ outputDir: config.mailOutputDir }),
+      senderEmail: config.emailSender,
+      links,
+      logger
+    }),
+    channelSender: createChannelSender(),
+    reporter: createRunReporter({ repository, config, alertTransport: mailTransport, logger }),
+    config,
+    runId,
+    logger
+  });
+}
+
+/**
+ * Check the database, the backend and the mail provider and print the results
+ * @param {Object} services - Services from createProductionServices
+ * @returns {Promise<boolean>} - True if every check passed
+ */
+async function runHealthcheck({ repository, workflowClient, mailTransport }) {
+  const results = await runHealthChecks({
+    database: () => repository.checkHealth(),
+    backend: signal => workflowClient.checkHealth(signal),
+    [`mail (${mailTransport.name})`]: () => mailTransport.verify()
+  }, { timeoutMs: HEALTHCHECK_TIMEOUT_MS });
+
+  console.log(formatHealthReport(results));
+  return results.every(result => result.ok);
+}
+
+/**
+ * Serve unsubscribe and preferences links and the mail provider's webhooks until stopped
+ * @param {Object} services - Services from createProductionServices
+ * @param {Object} config - Scheduler configuration
+ * @returns {Promise<boolean>} - False if the server can't start
+ */
+async function serve({ logger, repository, links }, config) {
+  if (!config.emailWebhookSecret) {
+    console.error('EMAIL_WEBHOOK_SECRET is required for the serve command');
+    return false;
+  }
+
+  const server = http.createServer(createEmailRequestHandler({
+    repository,
+    links,
+    webhookSecret: config.emailWebhookSecret,
+    logger
+  }));
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(config.port, resolve);
+  });
+  logger.info('Email link and webhook server listening', { port: config.port });
+
+  // Finish in-flight requests when the platform stops the service
+  process.once('SIGTERM', () => server.close());
+  return true;
+}
+
+/**
+ * Run the scheduler or a command from the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+export async function main(args, env) {
+  let cliOptions;
+  try {
+    cliOptions = parseCliOptions(args);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (cliOptions.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let config;
+  try {
+    config = loadConfig(env, {
+      command: cliOptions.command,
+      sendsEmail: !cliOptions.dryRun && !cliOptions.preview
+    });
+  } catch (error) {
+    // Nothing has run yet, so there is no logger to report through
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const services = createProductionServices(config);
+
+  if (cliOptions.command === 'serve') {
+    if (!(await serve(services, config))) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (cliOptions.command === 'healthcheck') {
+    if (!(await runHealthcheck(services))) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  try {
+    await createProductionScheduler(services, config).runScheduledWorkflows(cliOptions);
+  } catch {
+    // Already logged and reported by the scheduler; the exit code tells the
+    // cron platform that the run failed
+    process.exitCode = 1;
+  }
+}
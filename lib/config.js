@@ -0,0 +1,241 @@
+const MAIL_TRANSPORTS = ['brevo', 'smtp', 'file', 'console'];
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @typedef {Object} ConfigField
+ * @property {string} env - Environment variable the value is read from
+ * @property {'string'|'url'|'email'|'integer'|'boolean'|'enum'} type - How the value is parsed and checked
+ * @property {*} [default] - Value used when the variable is unset or empty
+ * @property {boolean} [required] - Whether the variable must be set
+ * @property {{key: string, value: *}} [requiredWhen] - The variable must be set when another setting has this value
+ * @property {number} [min] - Smallest allowed integer
+ * @property {number} [max] - Largest allowed integer
+ * @property {Array<string>} [values] - Allowed values of an enum, matched case-insensitively
+ * @property {number} [minLength] - Shortest allowed string, for secrets
+ */
+
+/**
+ * Every setting the job reads, keyed by its name in the config object
+ * @type {Object<string, ConfigField>}
+ */
+const CONFIG_SCHEMA = {
+  supabaseUrl: { env: 'SUPABASE_URL', type: 'url', required: true },
+  supabaseServiceKey: { env: 'SUPABASE_SERVICE_ROLE_KEY', type: 'string', required: true },
+  apiBaseUrl: { env: 'API_BASE_URL', type: 'url', default: 'http://localhost:3001' },
+  workflowTimeoutMs: { env: 'WORKFLOW_TIMEOUT_MS', type: 'integer', min: 1000, default: 10 * 60 * 1000 }, // complete-workflow scrapes and analyzes videos, so allow it a while
+
+  // Mail
+  emailSender: { env: 'EMAIL_SENDER', type: 'email', default: 'noreply@lazy-trends.com' },
+  mailTransport: { env: 'MAIL_TRANSPORT', type: 'enum', values: MAIL_TRANSPORTS, default: 'brevo' },
+  brevoApiKey: { env: 'BREVO_API_KEY', type: 'string', requiredWhen: { key: 'mailTransport', value: 'brevo' } },
+  smtpHost: { env: 'SMTP_HOST', type: 'string', requiredWhen: { key: 'mailTransport', value: 'smtp' } },
+  smtpPort: { env: 'SMTP_PORT', type: 'integer', min: 1, max: 65535, default: 587 },
+  smtpSecure: { env: 'SMTP_SECURE', type: 'boolean', default: false },
+  smtpUser: { env: 'SMTP_USER', type: 'string', default: null },
+  smtpPass: { env: 'SMTP_PASS', type: 'string', default: null },
+  mailOutputDir: { env: 'MAIL_OUTPUT_DIR', type: 'string', default: 'outbox' },
+
+  // Unsubscribe and preferences links, and the server that handles them.
+  // Only required when emails are really sent, or to serve the links; see loadConfig
+  publicBaseUrl: { env: 'PUBLIC_BASE_URL', type: 'url', default: null },
+  emailLinkSecret: { env: 'EMAIL_LINK_SECRET', type: 'string', minLength: 32, default: null },
+  emailWebhookSecret: { env: 'EMAIL_WEBHOOK_SECRET', type: 'string', minLength: 32, default: null },
+  port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3000 },
+
+  // Logging
+  logLevel: { env: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: 'info' },
+  logHashSalt: { env: 'LOG_HASH_SALT', type: 'string', default: '' },
+
+  // Run summary metrics
+  metricsFile: { env: 'METRICS_FILE', type: 'string', default: null },
+  metricsPushUrl: { env: 'METRICS_PUSH_URL', type: 'url', default: null },
+  metricsWebhookUrl: { env: 'METRICS_WEBHOOK_URL', type: 'url', default: null },
+
+  // Operator alerts
+  alertFailureRatePercent: { env: 'ALERT_FAILURE_RATE_PERCENT', type: 'integer', min: 0, max: 100, default: 50 },
+  alertMinAttempts: { env: 'ALERT_MIN_ATTEMPTS', type: 'integer', min: 1, default: 3 },
+  alertWebhookUrl: { env: 'ALERT_WEBHOOK_URL', type: 'url', default: null },
+  alertEmail: { env: 'ALERT_EMAIL', type: 'email', default: null },
+
+  // Scheduling
+  catchupGraceHours: { env: 'CATCHUP_GRACE_HOURS', type: 'integer', min: 0, default: 6 },
+  // Minutes between cron ticks; users' email minutes are rounded down to it.
+  // Must divide 60 and match the cron schedule (e.g. 15 for "*/15 * * * *").
+  scheduleGranularityMinutes: { env: 'SCHEDULE_GRANULARITY_MINUTES', type: 'integer', min: 1, max: 60, default: 15 },
+
+  // Workflow API retries
+  workflowMaxRetries: { env: 'WORKFLOW_MAX_RETRIES', type: 'integer', min: 0, default: 3 },
+  workflowRetryBaseDelayMs: { env: 'WORKFLOW_RETRY_BASE_DELAY_MS', type: 'integer', min: 0, default: 2000 },
+  workflowRetryMaxDelayMs: { env: 'WORKFLOW_RETRY_MAX_DELAY_MS', type: 'integer', min: 0, default: 60 * 1000 },
+
+  // Worker pool
+  workerConcurrency: { env: 'WORKER_CONCURRENCY', type: 'integer', min: 1, default: 3 },
+  userTimeoutMs: { env: 'USER_TIMEOUT_MS', type: 'integer', min: 1000, default: 15 * 60 * 1000 },
+  // Both default to a share of the tick interval, see loadConfig
+  tickBudgetMs: { env: 'TICK_BUDGET_MS', type: 'integer', min: 0, default: null },
+  emailPhaseReserveMs: { env: 'EMAIL_PHASE_RESERVE_MS', type: 'integer', min: 0, default: null },
+
+  // Defaults to the per-user timeout plus 5 minutes, see loadConfig
+  leaseTtlMs: { env: 'LEASE_TTL_MS', type: 'integer', min: 0, default: null }
+};
+
+/**
+ * Parse one environment variable according to its schema entry
+ * @param {string} raw - Raw value, known to be non-empty
+ * @param {ConfigField} field - Schema entry
+ * @returns {{value: *}|{problem: string}} - The parsed value, or why it is invalid
+ */
+function parseField(raw, field) {
+  const value = raw.trim();
+
+  switch (field.type) {
+    case 'integer': {
+      if (!/^-?\d+$/.test(value)) {
+        return { problem: `${field.env} must be a whole number, got '${raw}'` };
+      }
+      const number = parseInt(value, 10);
+      if (field.min !== undefined && number < field.min) {
+        return { problem: `${field.env} must be at least ${field.min}, got ${number}` };
+      }
+      if (field.max !== undefined && number > field.max) {
+        return { problem: `${field.env} must be at most ${field.max}, got ${number}` };
+      }
+      return { value: number };
+    }
+    case 'boolean':
+      if (!['true', 'false'].includes(value.toLowerCase())) {
+        return { problem: `${field.env} must be 'true' or 'false', got '${raw}'` };
+      }
+      return { value: value.toLowerCase() === 'true' };
+    case 'enum':
+      if (!field.values.includes(value.toLowerCase())) {
+        return { problem: `${field.env} must be one of ${field.values.join(', ')}, got '${raw}'` };
+      }
+      return { value: value.toLowerCase() };
+    case 'url': {
+      let url;
+      try {
+        url = new URL(value);
+      } catch {
+        return { problem: `${field.env} must be a URL such as https://example.com, got '${raw}'` };
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        return { problem: `${field.env} must be an http or https URL, got '${raw}'` };
+      }
+      return { value };
+    }
+    case 'email':
+      if (!EMAIL_PATTERN.test(value)) {
+        return { problem: `${field.env} must be an email address, got '${raw}'` };
+      }
+      return { value };
+    default:
+      if (field.minLength !== undefined && value.length < field.minLength) {
+        return { problem: `${field.env} must be at least ${field.minLength} characters long` };
+      }
+      return { value };
+  }
+}
+
+/**
+ * Normalize the backend URL to its root
+ * Requests go to `/api/complete-workflow`, so a base URL that already ends in
+ * `/api` (as older setups used) would otherwise produce `/api/api/...`.
+ * @param {string} url - Configured API_BASE_URL
+ * @returns {string} - URL without a trailing slash or `/api`
+ */
+export function normalizeApiBaseUrl(url) {
+  return url.replace(/\/+$/, '').replace(/\/api$/, '');
+}
+
+/**
+ * Build the scheduler configuration from environment variables
+ * Every variable is checked against CONFIG_SCHEMA, and all problems are
+ * reported at once, so a misconfigured deployment fails before doing any work.
+ * @param {Object} env - Environment variables (usually process.env)
+ * @param {Object} [options] - What the configuration is loaded for
+ * @param {string} [options.command] - CLI command: 'run', 'healthcheck' or 'serve'
+ * @param {boolean} [options.sendsEmail] - Whether the run really sends email, i.e. isn't a dry run or preview
+ * @returns {Object} - Scheduler configuration
+ * @throws {Error} - If any variable is missing or invalid; `error.problems` lists each one
+ */
+export function loadConfig(env, { command = 'run', sendsEmail = true } = {}) {
+  const config = {};
+  const problems = [];
+  const unset = [];
+
+  for (const [key, field] of Object.entries(CONFIG_SCHEMA)) {
+    const raw = env[field.env];
+    if (raw === undefined || raw.trim() === '') {
+      config[key] = field.default ?? null;
+      unset.push(field);
+      continue;
+    }
+
+    const { value, problem } = parseField(raw, field);
+    if (problem) {
+      // Keep the default so later checks don't report follow-on problems
+      problems.push(problem);
+      config[key] = field.default ?? null;
+    } else {
+      config[key] = value;
+    }
+  }
+
+  // Checked once everything is parsed, as some requirements depend on other settings
+  for (const field of unset) {
+    if (field.required) {
+      problems.push(`${field.env} is required`);
+    } else if (field.requiredWhen && config[field.requiredWhen.key] === field.requiredWhen.value) {
+      const { key, value } = field.requiredWhen;
+      problems.push(`${field.env} is required when ${CONFIG_SCHEMA[key].env} is ${value}`);
+    }
+  }
+
+  // Sent emails carry signed unsubscribe links, which the server verifies.
+  // Dry runs, previews and local transports do without them.
+  const linksRequired = command === 'serve' ||
+    (command === 'run' && sendsEmail && ['brevo', 'smtp'].includes(config.mailTransport));
+  if (linksRequired) {
+    for (const field of [CONFIG_SCHEMA.publicBaseUrl, CONFIG_SCHEMA.emailLinkSecret]) {
+      if (unset.includes(field)) {
+        problems.push(command === 'serve'
+          ? `${field.env} is required to serve`
+          : `${field.env} is required when MAIL_TRANSPORT is ${config.mailTransport}`);
+      }
+    }
+  }
+
+  if (config.apiBaseUrl) {
+    config.apiBaseUrl = normalizeApiBaseUrl(config.apiBaseUrl);
+  }
+
+  if (config.scheduleGranularityMinutes && 60 % config.scheduleGranularityMinutes !== 0) {
+    problems.push(`SCHEDULE_GRANULARITY_MINUTES must divide 60 (e.g. 5, 10, 15 or 30), got ${config.scheduleGranularityMinutes}`);
+  }
+
+  // A lease must outlive the per-user timeout, otherwise another
+  // invocation could claim a user that is still being processed
+  config.leaseTtlMs ??= config.userTimeoutMs + 5 * 60 * 1000;
+  if (config.leaseTtlMs < config.userTimeoutMs + 60 * 1000) {
+    problems.push(`LEASE_TTL_MS must be at least USER_TIMEOUT_MS plus one minute (${config.userTimeoutMs + 60 * 1000}), got ${config.leaseTtlMs}`);
+  }
+
+  // Stop starting new work well before the next tick, e.g. after 10 minutes
+  // of a 15 minute tick, and keep part of that for the email phase
+  config.tickBudgetMs ??= (config.scheduleGranularityMinutes * 60 * 1000 * 2) / 3;
+  config.emailPhaseReserveMs ??= Math.min(5 * 60 * 1000, config.tickBudgetMs / 2);
+  if (config.emailPhaseReserveMs > config.tickBudgetMs) {
+    problems.push(`EMAIL_PHASE_RESERVE_MS (${config.emailPhaseReserveMs}) must not exceed TICK_BUDGET_MS (${config.tickBudgetMs})`);
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  return config;
+}
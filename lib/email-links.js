@@ -0,0 +1,58 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Sign a user ID
+ * @param {string} userId - User ID
+ * @param {string} secret - Signing secret
+ * @returns {string} - base64url HMAC-SHA256 signature
+ */
+function sign(userId, secret) {
+  return createHmac('sha256', secret).update(`email-links:${userId}`).digest('base64url');
+}
+
+/**
+ * Create the signed links that let a user manage their emails without logging in
+ * A token is the user ID plus an HMAC of it, so links can't be forged for other
+ * users. Tokens don't expire, because unsubscribe links in old emails must keep
+ * working; rotating EMAIL_LINK_SECRET invalidates all of them.
+ * @param {Object} options - Link options
+ * @param {string} options.secret - Signing secret
+ * @param {string} options.baseUrl - Public URL of the server that handles the links
+ * @returns {{tokenFor: Function, verify: Function, unsubscribeUrl: Function, preferencesUrl: Function}}
+ */
+export function createEmailLinks({ secret, baseUrl }) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  /**
+   * Create the token for a user
+   * @param {string} userId - User ID
+   * @returns {string}
+   */
+  function tokenFor(userId) {
+    return `${Buffer.from(userId).toString('base64url')}.${sign(userId, secret)}`;
+  }
+
+  /**
+   * Check a token and return the user it was issued for
+   * @param {string|null|undefined} token - Token from a link
+   * @returns {string|null} - User ID, or null if the token is missing, malformed or forged
+   */
+  function verify(token) {
+    const [encodedUserId, signature, ...rest] = String(token ?? '').split('.');
+    if (!encodedUserId || !signature || rest.length > 0) {
+      return null;
+    }
+
+    const userId = Buffer.from(encodedUserId, 'base64url').toString('utf8');
+    const expected = Buffer.from(sign(userId, secret));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && timingSafeEqual(actual, expected) ? userId : null;
+  }
+
+  return {
+    tokenFor,
+    verify,
+    unsubscribeUrl: userId => `${root}/unsubscribe?token=${tokenFor(userId)}`,
+    preferencesUrl: userId => `${root}/preferences?token=${tokenFor(userId)}`
+  };
+}
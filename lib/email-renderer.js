@@ -0,0 +1,123 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Handlebars from 'handlebars';
+import { createTranslator } from './i18n.js';
+import { buildReport } from './report.js';
+
+// Templates live outside the code so the email layout can be edited on its own
+const TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates', 'email');
+
+// Emails with an HTML and a plain-text template each, named after their files
+const EMAILS = ['analysis', 'refresh-failed'];
+
+let compiledTemplates = null;
+
+/**
+ * Create a Handlebars environment with every partial in a directory registered
+ * Templates get their text from the user's message catalog:
+ * `{{t "stats.queries" count=stats.queriesCount}}` looks up a message and
+ * fills in its placeholders, and `{{upper text}}` upper-cases for the locale.
+ * @param {string} partialsDir - Directory containing `<name>.hbs` partials
+ * @returns {Object} - Isolated Handlebars environment
+ */
+function createEnvironment(partialsDir) {
+  const handlebars = Handlebars.create();
+  handlebars.registerHelper('t', (key, options) => options.data.root.i18n.t(key, options.hash));
+  handlebars.registerHelper('upper', (text, options) => String(text).toLocaleUpperCase(options.data.root.i18n.locale));
+  for (const file of fs.readdirSync(partialsDir)) {
+    if (file.endsWith('.hbs')) {
+      handlebars.registerPartial(path.basename(file, '.hbs'), fs.readFileSync(path.join(partialsDir, file), 'utf8'));
+    }
+  }
+  return handlebars;
+}
+
+/**
+ * Load and compile the email templates once
+ * @returns {{subject: Function, html: Object<string, Function>, text: Object<string, Function>, styles: Object}} - HTML and
+ *   text templates keyed by email
+ */
+function loadTemplates() {
+  if (compiledTemplates) {
+    return compiledTemplates;
+  }
+
+  const read = file => fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8');
+  const htmlEnvironment = createEnvironment(path.join(TEMPLATES_DIR, 'html', 'partials'));
+  const textEnvironment = createEnvironment(path.join(TEMPLATES_DIR, 'text', 'partials'));
+
+  compiledTemplates = {
+    // HTML output is auto-escaped; the plain-text alternative and subject are not HTML
+    html: Object.fromEntries(EMAILS.map(name => [name, htmlEnvironment.compile(read(`html/${name}.hbs`))])),
+    text: Object.fromEntries(EMAILS.map(name => [name, textEnvironment.compile(read(`text/${name}.hbs`), { noEscape: true })])),
+    subject: textEnvironment.compile(read('subject.hbs'), { noEscape: true }),
+    styles: JSON.parse(read('styles.json'))
+  };
+  return compiledTemplates;
+}
+
+/**
+ * Render an email's HTML and plain-text parts
+ * @param {string} name - Email, one of EMAILS
+ * @param {Object} model - Template model
+ * @returns {{html: string, text: string}}
+ */
+function renderBodies(name, model) {
+  const templates = loadTemplates();
+  return {
+    html: templates.html[name](model),
+    text: templates.text[name](model).replace(/\n{3,}/g, '\n\n').trim() + '\n'
+  };
+}
+
+/**
+ * Render the analysis results email
+ * @param {Object} user - User object
+ * @param {Object} analysisResults - Results from the workflow
+ * @param {Object} [options] - Render options
+ * @param {{unsubscribe: string, preferences: string}} [options.links] - Signed links shown in the footer
+ * @param {Date|string} [options.date] - Slot the report was prepared for, shown in the user's timezone; defaults to now
+ * @param {{results: Object, date: Date|string}} [options.previous] - Results of the user's previous report, to show what changed since
+ * @returns {{subject: string, html: string, text: string, unparsed: Array<Object>}} - Rendered email, plus the strategy fields that couldn't be parsed
+ */
+export function renderAnalysisEmail(user, analysisResults, { links = null, date = null, previous = null } = {}) {
+  const templates = loadTemplates();
+  const model = {
+    ...buildReport(user, analysisResults, { date, previous }),
+    styles: templates.styles,
+    links
+  };
+
+  model.subject = templates.subject(model).trim();
+
+  return {
+    subject: model.subject,
+    ...renderBodies('analysis', model),
+    unparsed: model.strategy.unparsed
+  };
+}
+
+/**
+ * Render the notice sent when a user's results couldn't be refreshed for their slot
+ * @param {Object} user - User object
+ * @param {Object} [options] - Render options
+ * @param {{unsubscribe: string, preferences: string}} [options.links] - Signed links shown in the footer
+ * @param {Date|string} [options.date] - Slot the report was due for, shown in the user's timezone; defaults to now
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export function renderRefreshFailedNotice(user, { links = null, date = null } = {}) {
+  const templates = loadTemplates();
+  const i18n = createTranslator(user.locale, { timeZone: user.timezone });
+  const model = {
+    i18n,
+    language: i18n.language,
+    name: user.full_name || null,
+    reportDate: date ? new Date(date) : new Date(),
+    subject: i18n.t('refreshFailed.subject'),
+    styles: templates.styles,
+    links
+  };
+
+  return { subject: model.subject, ...renderBodies('refresh-failed', model) };
+}
@@ -0,0 +1,264 @@
+import { timingSafeEqual } from 'node:crypto';
+
+// Webhook bodies are small; anything bigger is rejected rather than buffered
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Brevo transactional webhook events that mean an address must not be emailed again.
+// Soft bounces are temporary and are left to Brevo's own retries.
+const BREVO_SUPPRESSION_REASONS = {
+  hard_bounce: 'hard_bounce',
+  spam: 'complaint',
+  blocked: 'blocked',
+  invalid_email: 'invalid_email',
+  unsubscribed: 'unsubscribed'
+};
+
+/**
+ * Turn a Brevo webhook payload into suppressions
+ * @param {Object|Array<Object>} payload - One event, or a batch of events
+ * @returns {Array<Object>} - Suppressions for addEmailSuppression; other events are left out
+ */
+export function parseBrevoEvents(payload) {
+  const events = Array.isArray(payload) ? payload : [payload];
+
+  return events
+    .filter(event => event && BREVO_SUPPRESSION_REASONS[event.event] && event.email)
+    .map(event => ({
+      email: event.email,
+      reason: BREVO_SUPPRESSION_REASONS[event.event],
+      provider: 'brevo',
+      eventAt: event.ts_event ? new Date(event.ts_event * 1000).toISOString() : null,
+      details: {
+        event: event.event,
+        reason: event.reason ?? null,
+        messageId: event['message-id'] ?? null
+      }
+    }));
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap a page body in a minimal HTML document
+ * @param {string} title - Page title, as plain text
+ * @param {string} body - Page content, as HTML
+ * @returns {string}
+ */
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:40px 20px;background-color:#f6f6f6;font-family:Arial,Helvetica,sans-serif;font-size:15px;line-height:1.6;color:#333333;">
+    <div style="max-width:520px;margin:0 auto;padding:24px;background-color:#ffffff;border:1px solid #dddddd;border-radius:5px;">
+      <h1 style="margin:0 0 16px;font-size:22px;">${escapeHtml(title)}</h1>
+      ${body}
+    </div>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Read a request body as text
+ * @param {import('node:http').IncomingMessage} request - Incoming request
+ * @returns {Promise<string>}
+ * @throws {Error} - With `status` 413 if the body is too large
+ */
+async function readBody(request) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      const error = new Error('Request body too large');
+      error.status = 413;
+      throw error;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Check a webhook's bearer token
+ * @param {string|undefined} header - Authorization header
+ * @param {string} secret - Expected token
+ * @returns {boolean}
+ */
+function isAuthorized(header, secret) {
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(header || '');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Create the HTTP handler for unsubscribe links, the preferences page and
+ * mail provider webhooks
+ * Routes:
+ * - `GET /unsubscribe?token=` asks for confirmation, so link scanners that
+ *   prefetch URLs can't unsubscribe anyone
+ * - `POST /unsubscribe?token=` turns off email_notifications; this is also
+ *   the one-click target of the List-Unsubscribe header
+ * - `GET|POST /preferences?token=` shows and saves the email setting
+ * - `POST /webhooks/brevo` adds bounced and complaining addresses to the suppression list
+ * - `GET /health` for the hosting platform
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.repository - User repository, from createUserRepository
+ * @param {Object} deps.links - Signed email links, from createEmailLinks
+ * @param {string} deps.webhookSecret - Bearer token the mail provider sends with webhooks
+ * @param {Object} deps.logger - Logger, from createLogger
+ * @returns {Function} - Request listener for http.createServer
+ */
+export function createEmailRequestHandler({ repository, links, webhookSecret, logger }) {
+  function send(response, status, body, contentType = 'text/html; charset=utf-8') {
+    response.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    response.end(body);
+  }
+
+  function invalidLink(response) {
+    send(response, 400, renderPage('This link is not valid', '<p>The link may have been copied incompletely. Please use the link from your latest email.</p>'));
+  }
+
+  async function handleUnsubscribe(request, response, userId, token) {
+    const preferencesLink = `<a href="/preferences?token=${escapeHtml(token)}">email preferences</a>`;
+
+    if (request.method === 'GET') {
+      send(response, 200, renderPage('Unsubscribe from trend reports', `
+        <p>You will no longer receive scheduled trend report emails.</p>
+        <form method="post" action="/unsubscribe?token=${escapeHtml(token)}">
+          <button type="submit" style="padding:10px 18px;font-size:15px;">Unsubscribe</button>
+        </form>
+        <p>You can also change your ${preferencesLink} instead.</p>`));
+      return;
+    }
+
+    const user = await repository.setEmailNotifications(userId, false);
+    if (!user) {
+      send(response, 404, renderPage('Account not found', '<p>This account no longer exists, so it won\'t receive any emails.</p>'));
+      return;
+    }
+
+    logger.info('Unsubscribed through email link', { userId });
+    send(response, 200, renderPage('You\'re unsubscribed', `
+      <p>You won't receive any more scheduled trend reports.</p>
+      <p>Changed your mind? Turn them back on in your ${preferencesLink}.</p>`));
+  }
+
+  async function handlePreferences(request, response, userId, token, body) {
+    let user;
+    let saved = false;
+    if (request.method === 'POST') {
+      const enabled = new URLSearchParams(body).get('email_notifications') === 'on';
+      user = await repository.setEmailNotifications(userId, enabled);
+      saved = true;
+      if (user) {
+        logger.info('Email preferences updated through email link', { userId, emailNotifications: enabled });
+      }
+    } else {
+      user = await repository.getUserById(userId);
+    }
+
+    if (!user) {
+      send(response, 404, renderPage('Account not found', '<p>This account no longer exists, so it won\'t receive any emails.</p>'));
+      return;
+    }
+
+    send(response, 200, renderPage('Email preferences', `
+      ${saved ? '<p><strong>Your preferences were saved.</strong></p>' : ''}
+      <form method="post" action="/preferences?token=${escapeHtml(token)}">
+        <p>
+          <label>
+            <input type="checkbox" name="email_notifications"${user.email_notifications ? ' checked' : ''}>
+            Send me scheduled trend reports
+          </label>
+        </p>
+        <button type="submit" style="padding:10px 18px;font-size:15px;">Save</button>
+      </form>
+      <p style="font-size:13px;color:#777777;">Report times and days can be changed in your dashboard.</p>`));
+  }
+
+  async function handleBrevoWebhook(request, response, body) {
+    if (!isAuthorized(request.headers.authorization, webhookSecret)) {
+      logger.warn('Rejected webhook with a missing or wrong token', { provider: 'brevo' });
+      send(response, 401, JSON.stringify({ error: 'Unauthorized' }), 'application/json');
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      send(response, 400, JSON.stringify({ error: 'Invalid JSON' }), 'application/json');
+      return;
+    }
+
+    const suppressions = parseBrevoEvents(payload);
+    for (const suppression of suppressions) {
+      await repository.addEmailSuppression(suppression);
+      logger.info('Suppressed email address', { email: suppression.email, reason: suppression.reason, provider: 'brevo' });
+    }
+
+    const received = Array.isArray(payload) ? payload.length : 1;
+    send(response, 200, JSON.stringify({ received, suppressed: suppressions.length }), 'application/json');
+  }
+
+  return async function handleRequest(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+
+    try {
+      if (url.pathname === '/health' && request.method === 'GET') {
+        send(response, 200, 'ok', 'text/plain');
+        return;
+      }
+
+      if (!['GET', 'POST'].includes(request.method)) {
+        send(response, 405, 'Method not allowed', 'text/plain');
+        return;
+      }
+      const body = request.method === 'POST' ? await readBody(request) : '';
+
+      if (url.pathname === '/webhooks/brevo' && request.method === 'POST') {
+        await handleBrevoWebhook(request, response, body);
+        return;
+      }
+
+      if (url.pathname === '/unsubscribe' || url.pathname === '/preferences') {
+        const token = url.searchParams.get('token');
+        const userId = links.verify(token);
+        if (!userId) {
+          invalidLink(response);
+          return;
+        }
+
+        if (url.pathname === '/unsubscribe') {
+          await handleUnsubscribe(request, response, userId, token);
+        } else {
+          await handlePreferences(request, response, userId, token, body);
+        }
+        return;
+      }
+
+      send(response, 404, 'Not found', 'text/plain');
+    } catch (error) {
+      logger.error('Error handling request', { path: url.pathname, error });
+      // A 5xx makes mail providers retry the webhook later
+      send(response, error.status || 500, 'Something went wrong. Please try again later.', 'text/plain');
+    }
+  };
+}
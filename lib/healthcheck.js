@@ -0,0 +1,55 @@
+/**
+ * @typedef {Object} HealthCheckResult
+ * @property {string} name - Name of the check
+ * @property {boolean} ok - Whether the check passed
+ * @property {string|null} detail - What the check found, e.g. an account or a status
+ * @property {string|null} error - Why the check failed
+ * @property {number} durationMs - How long the check took
+ */
+
+/**
+ * Run health checks side by side, each with its own timeout
+ * @param {Object<string, Function>} checks - Async functions keyed by name, called with an AbortSignal
+ *   that fires on timeout; each resolves to an optional detail or throws
+ * @param {Object} options - Run options
+ * @param {number} options.timeoutMs - Time allowed per check
+ * @returns {Promise<Array<HealthCheckResult>>} - One result per check, in the order given
+ */
+export async function runHealthChecks(checks, { timeoutMs }) {
+  return Promise.all(Object.entries(checks).map(async ([name, check]) => {
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Timed out after ${timeoutMs}ms`);
+        controller.abort(error);
+        reject(error);
+      }, timeoutMs);
+    });
+
+    try {
+      const detail = await Promise.race([check(controller.signal), timeout]);
+      return { name, ok: true, detail: detail || null, error: null, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      return { name, ok: false, detail: null, error: error.message, durationMs: Date.now() - startedAt };
+    } finally {
+      clearTimeout(timer);
+    }
+  }));
+}
+
+/**
+ * Format health check results as one line per check
+ * @param {Array<HealthCheckResult>} results - Results from runHealthChecks
+ * @returns {string}
+ */
+export function formatHealthReport(results) {
+  const width = Math.max(...results.map(result => result.name.length));
+  return results
+    .map(({ name, ok, detail, error, durationMs }) => {
+      const message = ok ? detail : error;
+      return `${ok ? 'ok  ' : 'FAIL'}  ${name.padEnd(width)}  ${durationMs}ms${message ? `  ${message}` : ''}`;
+    })
+    .join('\n');
+}
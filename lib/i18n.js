@@ -0,0 +1,117 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isValidTimeZone } from './schedule.js';
+
+// One `<language>.json` message catalog per language, e.g. `de.json`
+const LOCALES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates', 'locales');
+
+export const DEFAULT_LOCALE = 'en';
+
+let catalogs = null;
+
+/**
+ * Load every message catalog once
+ * @returns {Object<string, Object<string, string>>} - Messages keyed by language
+ */
+function loadCatalogs() {
+  if (catalogs) {
+    return catalogs;
+  }
+
+  catalogs = {};
+  for (const file of fs.readdirSync(LOCALES_DIR)) {
+    if (file.endsWith('.json')) {
+      catalogs[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+    }
+  }
+  return catalogs;
+}
+
+/**
+ * Resolve a user's locale setting to one the emails can be written in
+ * Regional variants share their language's catalog but keep their own date and
+ * number formats (e.g. `de-CH`). Missing, malformed and unsupported locales
+ * fall back to English.
+ * @param {string|null|undefined} requested - BCP 47 tag from the user's profile, e.g. 'de' or 'pt_BR'
+ * @returns {{locale: string, language: string}} - Canonical tag for Intl, and the catalog's language
+ */
+export function resolveLocale(requested) {
+  if (typeof requested !== 'string' || !requested.trim()) {
+    return { locale: DEFAULT_LOCALE, language: DEFAULT_LOCALE };
+  }
+
+  let locale;
+  try {
+    [locale] = Intl.getCanonicalLocales(requested.trim().replace(/_/g, '-'));
+  } catch {
+    return { locale: DEFAULT_LOCALE, language: DEFAULT_LOCALE };
+  }
+
+  const { language } = new Intl.Locale(locale);
+  if (!loadCatalogs()[language]) {
+    return { locale: DEFAULT_LOCALE, language: DEFAULT_LOCALE };
+  }
+  return { locale, language };
+}
+
+/**
+ * Create a translator for a user's locale
+ * Messages missing from the language's catalog fall back to English, and
+ * unknown keys are returned as-is so a typo shows up in the email rather
+ * than an empty line.
+ * @param {string|null|undefined} requested - BCP 47 tag from the user's profile
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.timeZone] - IANA timezone dates are shown in; invalid ones fall back to UTC
+ * @returns {{locale: string, language: string, t: Function, formatNumber: Function, formatDate: Function}}
+ */
+export function createTranslator(requested, { timeZone } = {}) {
+  const { locale, language } = resolveLocale(requested);
+  const messages = { ...loadCatalogs()[DEFAULT_LOCALE], ...loadCatalogs()[language] };
+  const numberFormat = new Intl.NumberFormat(locale);
+  const dateFormat = new Intl.DateTimeFormat(locale, {
+    dateStyle: 'long',
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC'
+  });
+
+  /**
+   * Format a number in the user's locale
+   * @param {number} value - Number to format
+   * @returns {string}
+   */
+  function formatNumber(value) {
+    return numberFormat.format(value);
+  }
+
+  /**
+   * Format a date in the user's locale and timezone
+   * @param {Date|string} value - Date, or an ISO timestamp
+   * @returns {string}
+   */
+  function formatDate(value) {
+    return dateFormat.format(new Date(value));
+  }
+
+  /**
+   * Look up a message and fill in its `{placeholders}`
+   * Numbers and dates passed as values are formatted for the locale.
+   * @param {string} key - Message key, e.g. 'stats.queries'
+   * @param {Object} [values] - Placeholder values
+   * @returns {string}
+   */
+  function t(key, values = {}) {
+    const message = messages[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = values[name];
+      if (typeof value === 'number') {
+        return formatNumber(value);
+      }
+      if (value instanceof Date) {
+        return formatDate(value);
+      }
+      return value ?? placeholder;
+    });
+  }
+
+  return { locale, language, t, formatNumber, formatDate };
+}
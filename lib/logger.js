@@ -0,0 +1,147 @@
+import { createHash } from 'node:crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const EMAIL_PATTERN = /([^\s@<>"'(),;:]+)@([^\s@<>"'(),;:]+\.[^\s@<>"'(),;:]+)/g;
+
+// Identifiers that are hashed, and personal data that is dropped entirely
+const HASHED_KEYS = new Set(['id', 'userId', 'user_id', 'authId', 'auth_id']);
+const REDACTED_KEYS = new Set(['full_name', 'business_description', 'businessDescription']);
+
+// Anything bigger is summarized rather than logged
+const MAX_STRING_LENGTH = 300;
+const MAX_ARRAY_LENGTH = 20;
+const MAX_DEPTH = 3;
+
+/**
+ * Hash an identifier so log lines about the same user can be correlated without exposing the ID
+ * @param {string|null|undefined} value - Identifier to hash
+ * @param {string} [salt] - Secret mixed into the hash so IDs can't be confirmed by hashing guesses
+ * @returns {string|null} - Short hex digest, or null if there is no value
+ */
+export function hashIdentifier(value, salt = '') {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  return createHash('sha256').update(`${salt}${value}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * Mask the local part of every email address in a string
+ * @param {string} text - Text that may contain email addresses
+ * @returns {string} - e.g. `a***@example.com`
+ */
+export function redactEmails(text) {
+  return text.replace(EMAIL_PATTERN, (match, local, domain) => `${local[0]}***@${domain}`);
+}
+
+/**
+ * Make a value safe and small enough to log
+ * @param {*} value - Value to sanitize
+ * @param {string} salt - Salt for hashed identifiers
+ * @param {number} depth - Current nesting depth
+ * @returns {*} - JSON-serializable value
+ */
+function sanitize(value, salt, depth = 0) {
+  if (value === null || value === undefined || typeof value === 'number' || typeof value === 'boolean') {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    const redacted = redactEmails(value);
+    return redacted.length > MAX_STRING_LENGTH
+      ? `${redacted.slice(0, MAX_STRING_LENGTH)}... [${redacted.length} chars]`
+      : redacted;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (value instanceof Error) {
+    return sanitize({
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      status: value.response?.status ?? value.status
+    }, salt, depth);
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? `[${value.length} items]` : '[object]';
+  }
+
+  if (Array.isArray(value)) {
+    return value.length > MAX_ARRAY_LENGTH
+      ? `[${value.length} items]`
+      : value.map(item => sanitize(item, salt, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, entry] of Object.entries(value)) {
+    if (entry === undefined || REDACTED_KEYS.has(key)) {
+      continue;
+    }
+    result[key] = HASHED_KEYS.has(key) && entry !== null
+      ? hashIdentifier(entry, salt)
+      : sanitize(entry, salt, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Create a structured logger that writes one JSON object per line
+ * Every entry has `time`, `level` and `msg`, plus the logger's context and
+ * the entry's fields. Email addresses are masked, IDs are hashed and large
+ * values are summarized.
+ * @param {Object} [options] - Logger options
+ * @param {'debug'|'info'|'warn'|'error'} [options.level] - Lowest level that is written
+ * @param {string} [options.salt] - Secret used when hashing identifiers
+ * @param {Object} [options.context] - Fields added to every entry, e.g. the run ID
+ * @param {Function} [options.write] - Receives each serialized line
+ * @returns {Object} - Logger with debug, info, warn, error, child and hash methods
+ */
+export function createLogger({
+  level = 'info',
+  salt = '',
+  context = {},
+  write = line => process.stdout.write(`${line}\n`)
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function log(entryLevel, msg, fields = {}) {
+    if (LEVELS[entryLevel] < threshold) {
+      return;
+    }
+
+    write(JSON.stringify({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: sanitize(msg, salt),
+      ...context,
+      ...sanitize(fields, salt)
+    }));
+  }
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+
+    /**
+     * Create a logger that adds fields to every entry
+     * Context fields are written as given, so hash identifiers before adding them.
+     * @param {Object} fields - Extra context
+     * @returns {Object} - Child logger
+     */
+    child: fields => createLogger({ level, salt, context: { ...context, ...fields }, write }),
+
+    /**
+     * Hash an identifier with this logger's salt
+     * @param {string} value - Identifier to hash
+     * @returns {string|null}
+     */
+    hash: value => hashIdentifier(value, salt)
+  };
+}
@@ -0,0 +1,192 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import nodemailer from 'nodemailer';
+import SibApiV3Sdk from 'sib-api-v3-sdk';
+
+/**
+ * @typedef {Object} MailAddress
+ * @property {string} email - Email address
+ * @property {string} [name] - Display name
+ */
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {MailAddress} to - Recipient
+ * @property {MailAddress} from - Sender
+ * @property {string} subject - Subject line
+ * @property {string} html - HTML body
+ * @property {string} text - Plain-text alternative
+ * @property {Object<string, string>} [headers] - Extra message headers
+ */
+
+/**
+ * @typedef {Object} MailTransport
+ * @property {string} name - Transport name, for logging
+ * @property {(message: MailMessage) => Promise<{messageId: string|null}>} send - Deliver a message
+ * @property {() => Promise<string|void>} verify - Check that messages could be delivered, without sending one; resolves to an optional detail
+ */
+
+/**
+ * Format an address the way nodemailer expects it
+ * @param {MailAddress} address - Address to format
+ * @returns {{address: string, name: string}}
+ */
+function toNodemailerAddress({ email, name }) {
+  return { address: email, name: name || '' };
+}
+
+/**
+ * Send through Brevo's transactional email API
+ * @param {Object} options - Transport options
+ * @param {string} options.apiKey - Brevo API key
+ * @returns {MailTransport}
+ */
+export function createBrevoTransport({ apiKey }) {
+  // A dedicated client rather than the SDK's global singleton
+  const apiClient = new SibApiV3Sdk.ApiClient();
+  apiClient.authentications['api-key'].apiKey = apiKey;
+  const emailApi = new SibApiV3Sdk.TransactionalEmailsApi(apiClient);
+  const accountApi = new SibApiV3Sdk.AccountApi(apiClient);
+
+  return {
+    name: 'brevo',
+    async send({ to, from, subject, html, text, headers }) {
+      const response = await emailApi.sendTransacEmail({
+        to: [{ email: to.email, name: to.name || to.email }],
+        sender: { email: from.email, name: from.name },
+        subject,
+        htmlContent: html,
+        textContent: text,
+        ...(headers && { headers })
+      });
+      return { messageId: response?.messageId ?? null };
+    },
+    async verify() {
+      // Fails with 401 if the API key is wrong
+      const account = await accountApi.getAccount();
+      return account?.email ? `account ${account.email}` : undefined;
+    }
+  };
+}
+
+/**
+ * Send through any SMTP server
+ * @param {Object} options - Transport options
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Use TLS from the start (usually port 465)
+ * @param {string} [options.user] - SMTP username
+ * @param {string} [options.pass] - SMTP password
+ * @returns {MailTransport}
+ */
+export function createSmtpTransport({ host, port, secure, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } })
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, from, subject, html, text, headers }) {
+      const info = await transporter.sendMail({
+        to: toNodemailerAddress(to),
+        from: toNodemailerAddress(from),
+        subject,
+        html,
+        text,
+        headers
+      });
+      return { messageId: info.messageId ?? null };
+    },
+    async verify() {
+      // Connects and authenticates without sending anything
+      await transporter.verify();
+      return `${host}:${port}`;
+    }
+  };
+}
+
+/**
+ * Write each message to disk instead of sending it
+ * Every message produces a raw `.eml` file, which opens in any mail client,
+ * and an `.html` file for previewing the body in a browser.
+ * @param {Object} options - Transport options
+ * @param {string} options.outputDir - Directory to write messages to
+ * @returns {MailTransport}
+ */
+export function createFileTransport({ outputDir }) {
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+    async send({ to, from, subject, html, text, headers }) {
+      const info = await composer.sendMail({
+        to: toNodemailerAddress(to),
+        from: toNodemailerAddress(from),
+        subject,
+        html,
+        text,
+        headers
+      });
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const recipient = to.email.replace(/[^a-z0-9@._-]/gi, '_');
+      const basePath = path.join(outputDir, `${timestamp}-${recipient}`);
+
+      await fs.mkdir(outputDir, { recursive: true });
+      await fs.writeFile(`${basePath}.eml`, info.message);
+      await fs.writeFile(`${basePath}.html`, html);
+
+      return { messageId: info.messageId ?? null, path: `${basePath}.eml` };
+    },
+    async verify() {
+      await fs.mkdir(outputDir, { recursive: true });
+      await fs.access(outputDir, fs.constants.W_OK);
+      return outputDir;
+    }
+  };
+}
+
+/**
+ * Print a summary of each message instead of sending it
+ * @returns {MailTransport}
+ */
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send({ to, from, subject, text }) {
+      console.log(`--- Email (not sent) ---\nFrom: ${from.email}\nTo: ${to.email}\nSubject: ${subject}\n\n${text}\n--- End of email ---`);
+      return { messageId: null };
+    },
+    async verify() {}
+  };
+}
+
+/**
+ * Create the mail transport selected by configuration
+ * @param {Object} config - Scheduler configuration, from loadConfig
+ * @param {string} config.mailTransport - `brevo`, `smtp`, `file` or `console`
+ * @returns {MailTransport}
+ */
+export function createMailTransport(config) {
+  switch (config.mailTransport) {
+    case 'brevo':
+      return createBrevoTransport({ apiKey: config.brevoApiKey });
+    case 'smtp':
+      return createSmtpTransport({
+        host: config.smtpHost,
+        port: config.smtpPort,
+        secure: config.smtpSecure,
+        user: config.smtpUser,
+        pass: config.smtpPass
+      });
+    case 'file':
+      return createFileTransport({ outputDir: config.mailOutputDir });
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT '${config.mailTransport}'. Use brevo, smtp, file or console.`);
+  }
+}
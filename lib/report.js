@@ -0,0 +1,63 @@
+import { createTranslator } from './i18n.js';
+import { parseMarketingStrategy } from './strategy-parser.js';
+import { diffTrends } from './trend-diff.js';
+
+// New videos listed in "What's new"; the rest are summed up as "and N more"
+const MAX_NEW_VIDEOS = 5;
+
+// Strategy sections shown in a report, in order
+export const SECTION_KEYS = [
+  'observations',
+  'keyTakeaways',
+  'sampleScript',
+  'technicalSpecifications',
+  'contentThemes',
+  'hashtagStrategy',
+  'postingFrequency'
+];
+
+/**
+ * Build the content of a trend report, shared by the email and every other delivery channel
+ * @param {Object} user - User object
+ * @param {Object} analysisResults - Results from the workflow
+ * @param {Object} [options] - Report options
+ * @param {Date|string} [options.date] - Slot the report was prepared for, shown in the user's timezone; defaults to now
+ * @param {{results: Object, date: Date|string}} [options.previous] - Results of the user's previous report, to show what changed since
+ * @returns {Object} - Report with the user's translator (`i18n`), name, date, stats, parsed strategy and,
+ *   after the first report, `whatsNew`
+ */
+export function buildReport(user, analysisResults, { date = null, previous = null } = {}) {
+  const { data } = analysisResults; // This 'data' is the actual result from complete-workflow
+  const i18n = createTranslator(user.locale, { timeZone: user.timezone });
+
+  const report = {
+    i18n,
+    language: i18n.language,
+    name: user.full_name || null,
+    reportDate: date ? new Date(date) : new Date(),
+    stats: {
+      queriesCount: data?.searchQueries?.length || 0,
+      videosCount: data?.videosCount || 0
+    },
+    strategy: parseMarketingStrategy(data?.marketingStrategy || {}),
+    whatsNew: null
+  };
+  report.strategy.hasContent = SECTION_KEYS.some(key => report.strategy[key]);
+
+  // Left out of the first report, as there is nothing to compare it with
+  if (previous?.results) {
+    const previousData = previous.results.data;
+    const diff = diffTrends(
+      { strategy: report.strategy, data },
+      { strategy: parseMarketingStrategy(previousData?.marketingStrategy || {}), data: previousData }
+    );
+    report.whatsNew = {
+      ...diff,
+      since: new Date(previous.date),
+      newVideos: diff.newVideos.slice(0, MAX_NEW_VIDEOS),
+      moreVideos: Math.max(0, diff.newVideos.length - MAX_NEW_VIDEOS)
+    };
+  }
+
+  return report;
+}
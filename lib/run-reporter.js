@@ -0,0 +1,149 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import axios from 'axios';
+import { formatOpenMetrics } from './run-summary.js';
+
+// A hanging receiver must not keep the job running into the next tick
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Check whether a run is bad enough to alert the operators
+ * @param {Object} summary - Run summary
+ * @param {Object} options - Alert thresholds
+ * @param {number} options.failureRatePercent - Alert when at least this share of attempted steps failed
+ * @param {number} options.minAttempts - Ignore the failure rate below this many attempted steps
+ * @returns {string|null} - Why to alert, or null
+ */
+export function getAlertReason(summary, { failureRatePercent, minAttempts }) {
+  if (summary.status === 'failed') {
+    return `Run failed: ${summary.error}`;
+  }
+
+  if (summary.attempted >= minAttempts && summary.failureRate * 100 >= failureRatePercent) {
+    return `${summary.failed} of ${summary.attempted} steps failed (${Math.round(summary.failureRate * 100)}%, threshold ${failureRatePercent}%)`;
+  }
+
+  return null;
+}
+
+/**
+ * Describe a run summary in plain text for alerts
+ * @param {Object} summary - Run summary
+ * @param {string} reason - Why the alert was raised
+ * @returns {string}
+ */
+export function formatAlertText(summary, reason) {
+  const { analysis, email, deliveries = {} } = summary;
+  const channels = Object.entries(deliveries).map(([channel, { sent, failed }]) => `${channel} ${sent} sent, ${failed} failed`);
+  return [
+    `Scheduled workflow run ${summary.runId}: ${reason}`,
+    `Users considered: ${summary.usersConsidered}`,
+    `Analyses: ${analysis.succeeded} succeeded, ${analysis.failed} failed, ${analysis.skipped} skipped, ${analysis.deferred} deferred`,
+    `Emails: ${email.sent} sent, ${email.failed} failed, ${email.skipped} skipped, ${email.deferred} deferred`,
+    `Deliveries: ${channels.length > 0 ? channels.join('; ') : 'none'}`,
+    `Duration: ${Math.round(summary.durationMs / 1000)}s`
+  ].join('\n');
+}
+
+/**
+ * Create the reporter that publishes run summaries and alerts on failures
+ * Every sink is optional and independent: one failing is logged and doesn't
+ * stop the others.
+ * @param {Object} options - Reporter options
+ * @param {Object} options.repository - User repository, for the scheduler_runs table
+ * @param {Object} options.config - Scheduler configuration, from loadConfig
+ * @param {import('./mail-transports.js').MailTransport} [options.alertTransport] - Transport for alert emails
+ * @param {Object} [options.http] - HTTP client with an axios-compatible post method
+ * @param {number} [options.timeoutMs] - Time allowed for each webhook and metrics request
+ * @param {Object} options.logger - Logger, from createLogger
+ * @returns {{report: Function}}
+ */
+export function createRunReporter({ repository, config, alertTransport, http = axios, timeoutMs = DEFAULT_TIMEOUT_MS, logger }) {
+  /**
+   * Run one sink, logging instead of throwing if it fails
+   * @param {string} sink - Sink name, for logging
+   * @param {Function} fn - Async function that publishes to the sink
+   * @returns {Promise<void>}
+   */
+  async function publish(sink, fn) {
+    try {
+      await fn();
+    } catch (error) {
+      logger.error('Error publishing run summary', { sink, error });
+    }
+  }
+
+  /**
+   * Write the metrics file atomically, so a collector never reads half a file
+   * @param {string} text - OpenMetrics text
+   * @returns {Promise<void>}
+   */
+  async function writeMetricsFile(text) {
+    await fs.mkdir(path.dirname(config.metricsFile), { recursive: true });
+    const temporaryFile = `${config.metricsFile}.${process.pid}.tmp`;
+    await fs.writeFile(temporaryFile, text);
+    await fs.rename(temporaryFile, config.metricsFile);
+  }
+
+  /**
+   * Send an alert to every configured alert channel
+   * @param {Object} summary - Run summary
+   * @param {string} reason - Why the alert was raised
+   * @returns {Promise<void>}
+   */
+  async function alert(summary, reason) {
+    logger.warn('Alerting operators', { reason });
+    const text = formatAlertText(summary, reason);
+
+    if (config.alertWebhookUrl) {
+      // `text` is what Slack and most chat webhooks display
+      await publish('alert webhook', () => http.post(config.alertWebhookUrl, { text, reason, summary }, { timeout: timeoutMs }));
+    }
+
+    if (config.alertEmail && alertTransport) {
+      await publish('alert email', () => alertTransport.send({
+        to: { email: config.alertEmail },
+        from: { email: config.emailSender, name: 'The Complete Lazy Trend Scheduler' },
+        subject: `[Alert] Scheduled workflow run: ${reason}`,
+        html: `<pre>${text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</pre>`,
+        text
+      }));
+    }
+  }
+
+  /**
+   * Publish a finished run's summary and alert if it failed
+   * @param {Object} summary - Run summary, from createRunSummary().finish()
+   * @returns {Promise<void>}
+   */
+  async function report(summary) {
+    await publish('database', () => repository.saveRunSummary(summary));
+
+    if (config.metricsFile || config.metricsPushUrl) {
+      const text = formatOpenMetrics(summary);
+      if (config.metricsFile) {
+        await publish('metrics file', () => writeMetricsFile(text));
+      }
+      if (config.metricsPushUrl) {
+        await publish('metrics push', () => http.post(config.metricsPushUrl, text, {
+          timeout: timeoutMs,
+          headers: { 'Content-Type': 'text/plain; version=0.0.4' }
+        }));
+      }
+    }
+
+    if (config.metricsWebhookUrl) {
+      await publish('metrics webhook', () => http.post(config.metricsWebhookUrl, summary, { timeout: timeoutMs }));
+    }
+
+    const reason = getAlertReason(summary, {
+      failureRatePercent: config.alertFailureRatePercent,
+      minAttempts: config.alertMinAttempts
+    });
+    if (reason) {
+      await alert(summary, reason);
+    }
+  }
+
+  return { report };
+}
@@ -0,0 +1,158 @@
+// Outcomes counted per phase; every planned user ends up in exactly one
+const PHASE_OUTCOMES = {
+  analysis: ['succeeded', 'failed', 'skipped', 'deferred'],
+  email: ['sent', 'notice_sent', 'failed', 'skipped', 'deferred']
+};
+
+// Outcomes counted per delivery channel; a user can have several channels
+const DELIVERY_OUTCOMES = ['sent', 'failed'];
+
+const METRIC_PREFIX = 'lazytrends_scheduler';
+
+/**
+ * Collect the counts and durations of one scheduler run
+ * @param {Object} options - Run details
+ * @param {string} options.runId - ID of this invocation
+ * @param {boolean} [options.dryRun] - Whether the run only reported what it would do
+ * @returns {Object} - Collector with setConsidered, record, recordDelivery, measure and finish methods
+ */
+export function createRunSummary({ runId, dryRun = false }) {
+  const startedAt = Date.now();
+  const counts = Object.fromEntries(Object.entries(PHASE_OUTCOMES)
+    .map(([phase, outcomes]) => [phase, Object.fromEntries(outcomes.map(outcome => [outcome, 0]))]));
+  const skipReasons = { analysis: {}, email: {} };
+  const deliveries = {};
+  const phaseDurationsMs = {};
+  let usersConsidered = 0;
+
+  return {
+    /**
+     * Set how many users the run looked at
+     * @param {number} count - Number of users
+     */
+    setConsidered(count) {
+      usersConsidered = count;
+    },
+
+    /**
+     * Count the outcome of one user's step
+     * @param {'analysis'|'email'} phase - Step
+     * @param {string} outcome - One of the phase's outcomes, e.g. 'succeeded' or 'sent'
+     * @param {string} [reason] - Short reason code for skipped steps, e.g. 'not_due'
+     */
+    record(phase, outcome, reason) {
+      counts[phase][outcome] += 1;
+      if (outcome === 'skipped') {
+        const key = reason || 'unknown';
+        skipReasons[phase][key] = (skipReasons[phase][key] || 0) + 1;
+      }
+    },
+
+    /**
+     * Count one report posted to a delivery channel
+     * @param {string} channel - Channel type, e.g. 'slack'
+     * @param {'sent'|'failed'} outcome - Whether the channel accepted the report
+     */
+    recordDelivery(channel, outcome) {
+      deliveries[channel] ??= Object.fromEntries(DELIVERY_OUTCOMES.map(key => [key, 0]));
+      deliveries[channel][outcome] += 1;
+    },
+
+    /**
+     * Time a part of the run
+     * @param {string} name - Name of the part, e.g. 'analysis'
+     * @param {Function} fn - Async function to time
+     * @returns {Promise<*>} - What fn resolves to
+     */
+    async measure(name, fn) {
+      const start = Date.now();
+      try {
+        return await fn();
+      } finally {
+        phaseDurationsMs[name] = Date.now() - start;
+      }
+    },
+
+    /**
+     * Close the run and build its summary
+     * @param {Object} [options] - How the run ended
+     * @param {Error} [options.error] - Fatal error that stopped the run
+     * @returns {Object} - Run summary
+     */
+    finish({ error = null } = {}) {
+      const finishedAt = Date.now();
+      const deliveriesFailed = Object.values(deliveries).reduce((total, channel) => total + channel.failed, 0);
+      const deliveriesSent = Object.values(deliveries).reduce((total, channel) => total + channel.sent, 0);
+      const attempted = counts.analysis.succeeded + counts.analysis.failed + counts.email.sent + counts.email.notice_sent +
+        counts.email.failed + deliveriesSent + deliveriesFailed;
+      const failed = counts.analysis.failed + counts.email.failed + deliveriesFailed;
+
+      return {
+        runId,
+        dryRun,
+        status: error ? 'failed' : 'succeeded',
+        error: error ? error.message : null,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date(finishedAt).toISOString(),
+        durationMs: finishedAt - startedAt,
+        usersConsidered,
+        analysis: { ...counts.analysis },
+        email: { ...counts.email },
+        skipReasons: structuredClone(skipReasons),
+        deliveries: structuredClone(deliveries),
+        phaseDurationsMs: { ...phaseDurationsMs },
+        attempted,
+        failed,
+        failureRate: attempted === 0 ? 0 : failed / attempted
+      };
+    }
+  };
+}
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {string} value - Label value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a run summary as OpenMetrics text
+ * The output is also valid Prometheus text format, so it can be served by
+ * node_exporter's textfile collector or pushed to a Pushgateway.
+ * @param {Object} summary - Run summary, from finish()
+ * @returns {string}
+ */
+export function formatOpenMetrics(summary) {
+  const lines = [];
+
+  function metric(name, help, samples) {
+    lines.push(`# HELP ${METRIC_PREFIX}_${name} ${help}`, `# TYPE ${METRIC_PREFIX}_${name} gauge`);
+    for (const [labels, value] of samples) {
+      const labelText = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`).join(',');
+      lines.push(`${METRIC_PREFIX}_${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+    }
+  }
+
+  metric('last_run_timestamp_seconds', 'When the last run finished', [[{}, Date.parse(summary.finishedAt) / 1000]]);
+  metric('last_run_success', 'Whether the last run finished without a fatal error', [[{}, summary.status === 'succeeded' ? 1 : 0]]);
+  metric('run_duration_seconds', 'Duration of the last run', [[{}, summary.durationMs / 1000]]);
+  metric('phase_duration_seconds', 'Duration of each phase of the last run',
+    Object.entries(summary.phaseDurationsMs).map(([phase, ms]) => [{ phase }, ms / 1000]));
+  metric('users_considered', 'Users looked at in the last run', [[{}, summary.usersConsidered]]);
+  metric('steps', 'Outcome of each user\'s analysis and email step in the last run',
+    Object.keys(PHASE_OUTCOMES).flatMap(phase =>
+      Object.entries(summary[phase]).map(([outcome, count]) => [{ phase, outcome }, count])));
+  metric('skipped_steps', 'Skipped steps in the last run by reason',
+    Object.entries(summary.skipReasons).flatMap(([phase, reasons]) =>
+      Object.entries(reasons).map(([reason, count]) => [{ phase, reason }, count])));
+  metric('channel_deliveries', 'Reports posted to Slack, Discord and webhook channels in the last run',
+    Object.entries(summary.deliveries ?? {}).flatMap(([channel, outcomes]) =>
+      Object.entries(outcomes).map(([outcome, count]) => [{ channel, outcome }, count])));
+  metric('failure_rate', 'Share of attempted steps that failed in the last run', [[{}, summary.failureRate]]);
+
+  lines.push('# EOF');
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,288 @@
+export const HOUR_MS = 60 * 60 * 1000;
+export const ANALYSIS_LEAD_MS = HOUR_MS; // Analysis runs one hour before the email
+
+const ALL_WEEKDAYS = [1, 2, 3, 4, 5, 6, 7]; // ISO weekdays, Monday first
+
+/**
+ * Check whether a string is a valid IANA time zone name
+ * @param {string} timezone - Time zone name (e.g., 'America/New_York')
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const zonedFormatters = new Map();
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA time zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+export function getZonedParts(date, timezone) {
+  let formatter = zonedFormatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    zonedFormatters.set(timezone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Get a time zone's offset from UTC at a given instant
+ * @param {number} time - Instant in epoch milliseconds
+ * @param {string} timezone - IANA time zone name
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+function getTimeZoneOffsetMs(time, timezone) {
+  const p = getZonedParts(new Date(time), timezone);
+  const wallClockAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClockAsUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time on a given date in a time zone to an instant
+ *
+ * DST policy:
+ * - Skipped local times (spring forward, e.g. 02:30 when clocks jump from
+ *   02:00 to 03:00) are shifted forward by the length of the gap, so 02:30
+ *   becomes 03:30.
+ * - Repeated local times (fall back, e.g. 01:30 happening twice) resolve to
+ *   the first occurrence, so the user is only scheduled once.
+ *
+ * @param {Object} wallClock - Local date and time
+ * @param {number} wallClock.year - Full year
+ * @param {number} wallClock.month - Month (1-12)
+ * @param {number} wallClock.day - Day of month
+ * @param {number} wallClock.hour - Hour (0-23)
+ * @param {number} wallClock.minute - Minute (0-59)
+ * @param {string} timezone - IANA time zone name
+ * @returns {Date} - The matching instant
+ */
+export function zonedTimeToUtc({ year, month, day, hour, minute }, timezone) {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offsets half a day either side cover at most one DST transition
+  const offsetBefore = getTimeZoneOffsetMs(wallClockAsUtc - 12 * HOUR_MS, timezone);
+  const offsetAfter = getTimeZoneOffsetMs(wallClockAsUtc + 12 * HOUR_MS, timezone);
+
+  const candidates = [...new Set([wallClockAsUtc - offsetBefore, wallClockAsUtc - offsetAfter])]
+    .filter(instant => getTimeZoneOffsetMs(instant, timezone) === wallClockAsUtc - instant)
+    .sort((a, b) => a - b);
+
+  if (candidates.length > 0) {
+    return new Date(candidates[0]);
+  }
+
+  // The wall-clock time doesn't exist on this date: applying the offset from
+  // before the transition lands the same distance past the gap
+  return new Date(wallClockAsUtc - offsetBefore);
+}
+
+/**
+ * Work out which ISO weekdays a user is scheduled on
+ * @param {Object} user - User object
+ * @param {Array<string>} [warnings] - Collects problems with the user's settings
+ * @returns {Set<number>} - ISO weekdays (1 = Monday ... 7 = Sunday)
+ */
+export function getScheduledWeekdays(user, warnings = []) {
+  const frequency = user.schedule_frequency || 'daily';
+  const days = (Array.isArray(user.schedule_days) ? user.schedule_days : [])
+    .filter(day => Number.isInteger(day) && day >= 1 && day <= 7);
+
+  switch (frequency) {
+    case 'daily':
+      return new Set(ALL_WEEKDAYS);
+    case 'weekdays':
+      return new Set([1, 2, 3, 4, 5]);
+    case 'weekly':
+      // A single weekly digest on the first chosen day, Monday by default
+      return new Set([days[0] ?? 1]);
+    case 'custom':
+      if (days.length === 0) {
+        warnings.push('Custom schedule without any valid days. No reports will be scheduled.');
+      }
+      return new Set(days);
+    default:
+      warnings.push(`Unknown schedule_frequency '${frequency}'. Falling back to daily.`);
+      return new Set(ALL_WEEKDAYS);
+  }
+}
+
+/**
+ * Read and validate a user's email schedule
+ * @param {Object} user - User object
+ * @param {number} [granularityMinutes] - Minutes between cron ticks; the email minute is rounded down to it
+ * @returns {{timezone: string, hour: number, minute: number, weekdays: Set<number>, pausedUntil: string|null, warnings: Array<string>}} - Schedule in the user's local time, plus any settings that had to be replaced
+ */
+export function getUserSchedule(user, granularityMinutes = 15) {
+  const warnings = [];
+
+  let timezone = user.timezone || 'UTC';
+  if (!isValidTimeZone(timezone)) {
+    warnings.push(`Invalid timezone '${timezone}'. Falling back to UTC.`);
+    timezone = 'UTC';
+  }
+
+  let hour = user.email_time_hour ?? 9; // Default to 9 AM if not specified
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    warnings.push(`Invalid email_time_hour '${hour}'. Falling back to 9.`);
+    hour = 9;
+  }
+
+  let minute = user.email_time_minute ?? 0;
+  if (!Number.isInteger(minute) || minute < 0 || minute > 59) {
+    warnings.push(`Invalid email_time_minute '${minute}'. Falling back to 0.`);
+    minute = 0;
+  }
+
+  // Snap to the tick granularity so the slot lines up with a cron tick
+  minute = Math.floor(minute / granularityMinutes) * granularityMinutes;
+
+  // Local date (YYYY-MM-DD) on which reports resume
+  let pausedUntil = user.schedule_paused_until || null;
+  if (pausedUntil && !/^\d{4}-\d{2}-\d{2}/.test(pausedUntil)) {
+    warnings.push(`Invalid schedule_paused_until '${pausedUntil}'. Ignoring it.`);
+    pausedUntil = null;
+  }
+
+  return {
+    timezone,
+    hour,
+    minute,
+    weekdays: getScheduledWeekdays(user, warnings),
+    pausedUntil: pausedUntil && pausedUntil.slice(0, 10),
+    warnings
+  };
+}
+
+/**
+ * Get the most recent occurrence of a user's slot at or before a given time
+ * Slots are resolved on the actual local date in the user's time zone, so DST
+ * changes, scheduled weekdays and pauses are all evaluated locally.
+ * @param {Object} schedule - User's schedule, from getUserSchedule
+ * @param {Date} time - Reference time
+ * @returns {Date|null} - The latest slot that is not after `time`, or null if there is none in the past week
+ */
+export function getLatestSlotAtOrBefore({ timezone, hour, minute, weekdays, pausedUntil }, time) {
+  const today = getZonedParts(time, timezone);
+
+  // A week plus a day covers a weekly slot later in the day than `time`
+  for (let daysBack = 0; daysBack <= 7; daysBack++) {
+    // Date.UTC normalizes day underflow into the previous month/year
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day - daysBack));
+    const localDate = date.toISOString().slice(0, 10);
+
+    if (pausedUntil && localDate < pausedUntil) {
+      // Every earlier date is paused too
+      return null;
+    }
+
+    if (!weekdays.has(date.getUTCDay() || 7)) {
+      continue;
+    }
+
+    const slot = zonedTimeToUtc({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour,
+      minute
+    }, timezone);
+
+    if (slot <= time) {
+      return slot;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a scheduled step is due, based on when it last ran
+ * @param {Date|null} dueAt - When the step was due, or null if it isn't scheduled
+ * @param {string|null} lastRunAt - Timestamp of the last time the step ran
+ * @param {Date} now - Current time
+ * @param {number} catchupGraceMs - How long after its slot a missed step may still run
+ * @returns {{due: boolean, reason: string, code: string}} - Due if the step has not run since it became due and is still inside the grace window.
+ *   `code` is a short, stable version of the reason for metrics: 'due', 'no_slot', 'not_due', 'missed' or 'already_done'.
+ */
+export function checkDue(dueAt, lastRunAt, now, catchupGraceMs) {
+  if (!dueAt) {
+    return { due: false, reason: 'no scheduled slot in the past week (paused or no scheduled days)', code: 'no_slot' };
+  }
+
+  if (dueAt > now) {
+    return { due: false, reason: `not due until ${dueAt.toISOString()}`, code: 'not_due' };
+  }
+
+  // Too far in the past to catch up on - wait for the next slot instead
+  if (now - dueAt > catchupGraceMs) {
+    return { due: false, reason: `last slot (${dueAt.toISOString()}) is outside the ${catchupGraceMs / HOUR_MS}h catch-up window`, code: 'missed' };
+  }
+
+  if (lastRunAt && new Date(lastRunAt) >= dueAt) {
+    return { due: false, reason: `already done at ${lastRunAt} for the slot due ${dueAt.toISOString()}`, code: 'already_done' };
+  }
+
+  return { due: true, reason: `due since ${dueAt.toISOString()} (last done: ${lastRunAt || 'never'})`, code: 'due' };
+}
+
+/**
+ * Work out which steps are due for a user
+ * @param {Object} user - User object
+ * @param {Date} now - Current time
+ * @param {Object} options - Scheduling options
+ * @param {number} options.granularityMinutes - Minutes between cron ticks
+ * @param {number} options.catchupGraceMs - How long after its slot a missed step may still run
+ * @returns {{schedule: Object, analysis: Object, email: Object}} - The user's schedule and, for each step, its slot, when it became due, whether it is due and why
+ */
+export function planUser(user, now, { granularityMinutes, catchupGraceMs }) {
+  const schedule = getUserSchedule(user, granularityMinutes);
+
+  // The analysis runs one hour before the email time, so it belongs to
+  // the latest email slot that starts within the next hour
+  const analysisSlot = getLatestSlotAtOrBefore(schedule, new Date(now.getTime() + ANALYSIS_LEAD_MS));
+  const analysisDueAt = analysisSlot && new Date(analysisSlot.getTime() - ANALYSIS_LEAD_MS);
+  const emailDueAt = getLatestSlotAtOrBefore(schedule, now);
+
+  return {
+    schedule,
+    analysis: {
+      scheduledFor: analysisSlot,
+      dueAt: analysisDueAt,
+      ...checkDue(analysisDueAt, user.last_workflow_run, now, catchupGraceMs)
+    },
+    email: {
+      scheduledFor: emailDueAt,
+      dueAt: emailDueAt,
+      ...checkDue(emailDueAt, user.last_email_sent, now, catchupGraceMs)
+    }
+  };
+}
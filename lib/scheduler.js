@@ -0,0 +1,791 @@
+import { randomUUID } from 'node:crypto';
+import { buildReport } from './report.js';
+import { createRunSummary } from './run-summary.js';
+import { ANALYSIS_LEAD_MS, HOUR_MS, planUser } from './schedule.js';
+import { describeWorkflowError } from './workflow-client.js';
+import { getQuotaPeriodStart, resolveWorkflowOptions } from './workflow-options.js';
+import { runWorkerPool } from './worker-pool.js';
+
+/**
+ * @typedef {Object} StepOutcome
+ * @property {'succeeded'|'sent'|'notice_sent'|'failed'|'skipped'} status - What happened to the user's step
+ * @property {string} [reason] - Short reason code for skipped steps, e.g. 'lease_held'
+ * @property {string} [workflowRunId] - The workflow run of a failed analysis
+ */
+
+/**
+ * Check whether a run holds results prepared for an email slot
+ * @param {Object|null} run - workflow_runs row
+ * @param {Date} scheduledFor - The email slot being served
+ * @returns {boolean}
+ */
+function isFreshFor(run, scheduledFor) {
+  return Boolean(run?.result && Object.keys(run.result).length > 0) && new Date(run.scheduled_for) >= scheduledFor;
+}
+
+/**
+ * Check whether a slot's analysis ended without anything worth refreshing
+ * Slots skipped on purpose (e.g. for the quota) stay skipped, and results
+ * that succeeded but aren't pending were already sent.
+ * @param {Object|null} slotRun - Latest workflow_runs row for the slot, from getLatestRunForSlot
+ * @returns {boolean}
+ */
+function isSettled(slotRun) {
+  return slotRun?.status === 'skipped' || slotRun?.status === 'succeeded';
+}
+
+/**
+ * Create the scheduler that plans each tick and runs the analysis and email phases
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.repository - User repository, from createUserRepository
+ * @param {Object} deps.workflowClient - Workflow API client, from createWorkflowClient
+ * @param {Object} deps.mailer - Analysis mailer that sends for real, from createAnalysisMailer
+ * @param {Object} deps.previewMailer - Analysis mailer used by --preview
+ * @param {Object} deps.channelSender - Posts reports to Slack, Discord and webhooks, from createChannelSender
+ * @param {Object} deps.reporter - Publishes run summaries, from createRunReporter
+ * @param {Object} deps.config - Scheduler configuration, from loadConfig
+ * @param {string} deps.runId - ID of this invocation
+ * @param {Object} deps.logger - Logger, from createLogger, carrying the run ID
+ * @returns {{runScheduledWorkflows: Function}}
+ */
+export function createScheduler({ repository, workflowClient, mailer, previewMailer, channelSender, reporter, config, runId, logger }) {
+  /**
+   * Run a user's step while holding its lease
+   * The user is re-read after the lease is claimed, and the step is skipped if
+   * another invocation already completed it since the user was planned.
+   * @param {'analysis'|'email'} phase - Step to run
+   * @param {Object} job - Planned job
+   * @param {Object} job.user - User object as read when planning the tick
+   * @param {Object} job.logger - Logger carrying the user's context
+   * @param {Function} isAlreadyDone - Called with the fresh user, returns true if the step is no longer due
+   * @param {Function} step - Async function called with the fresh user, resolving to its outcome
+   * @returns {Promise<StepOutcome>}
+   */
+  async function withUserLease(phase, { user: plannedUser, logger: userLogger }, isAlreadyDone, step) {
+    if (!(await repository.claimLease(plannedUser.id, phase))) {
+      userLogger.info('Skipping - another invocation holds the lease', { phase });
+      return { status: 'skipped', reason: 'lease_held' };
+    }
+
+    try {
+      const user = await repository.getUserById(plannedUser.id);
+      if (!user || isAlreadyDone(user)) {
+        userLogger.info('Skipping - already handled by another invocation', { phase });
+        return { status: 'skipped', reason: 'already_handled' };
+      }
+
+      return await step(user);
+    } finally {
+      await repository.releaseLease(plannedUser.id, phase);
+    }
+  }
+
+  /**
+   * Run and store the analysis for one user
+   * @param {Object} user - User object
+   * @param {Date} scheduledFor - The email slot this analysis prepares
+   * @param {AbortSignal} signal - Aborted when the user's time is up
+   * @param {Object} context - Per-user context
+   * @param {string} context.correlationId - Sent to the backend with the workflow call
+   * @param {Map<string, Object>} context.pricingPlans - Plans keyed by ID, from getPlans
+   * @param {Date} context.now - The tick's time, which sets the quota period
+   * @param {string} [context.refreshReason] - Why the results are being refreshed in the email hour
+   * @param {Object} context.logger - Logger carrying the user's context
+   * @returns {Promise<StepOutcome>}
+   */
+  async function analyzeUser(user, scheduledFor, signal, { correlationId, pricingPlans, now, refreshReason = null, logger: userLogger }) {
+    const { plan, options, warnings } = resolveWorkflowOptions(user, pricingPlans);
+    for (const warning of warnings) {
+      userLogger.warn(`Invalid workflow setting: ${warning}`);
+    }
+    userLogger.info('Processing analysis', {
+      scheduledFor,
+      plan: plan.id,
+      videosPerQuery: options.videosPerQuery,
+      queryCount: options.queryCount
+    });
+    const workflowRunId = await repository.createWorkflowRun(user.id, scheduledFor, { plan: plan.id, options, refreshReason });
+
+    // Checked before calling the backend, as the backend is what the quota limits
+    if (plan.monthly_run_quota !== null && plan.monthly_run_quota !== undefined) {
+      const used = await repository.countSucceededRunsSince(user.id, getQuotaPeriodStart(now));
+      if (used >= plan.monthly_run_quota) {
+        await repository.updateWorkflowRun(workflowRunId, {
+          status: 'skipped',
+          finished_at: new Date().toISOString(),
+          error_message: `Monthly run quota reached (${used} of ${plan.monthly_run_quota})`,
+          email_status: 'skipped'
+        });
+        // Mark the slot as handled, and stop retrying a dead-lettered run, until the quota resets
+        await repository.updateLastRunTimestamp(user.id);
+        await repository.resolveDeadLetter(user.id, scheduledFor);
+        userLogger.info('Skipping analysis - monthly run quota reached', { workflowRunId, plan: plan.id, used, quota: plan.monthly_run_quota });
+        return { status: 'skipped', reason: 'quota_exceeded' };
+      }
+    }
+
+    let result;
+    try {
+      result = await workflowClient.runWorkflow(user, { signal, correlationId, workflowOptions: options, logger: userLogger });
+    } catch (error) {
+      // An aborted request surfaces as a generic cancellation; report why it was aborted
+      const workflowError = signal.aborted ? signal.reason : error;
+      await repository.updateWorkflowRun(workflowRunId, {
+        status: 'failed',
+        finished_at: new Date().toISOString(),
+        error_message: workflowError.message,
+        error_details: describeWorkflowError(workflowError),
+        email_status: 'skipped'
+      });
+      // The slot is handled either way, so catch-up doesn't run it again on
+      // every tick; retryable failures are retried from the dead-letter queue
+      await repository.updateLastRunTimestamp(user.id);
+      if (workflowError.retryable) {
+        await repository.addToDeadLetterQueue(user.id, scheduledFor, workflowError.message, describeWorkflowError(workflowError));
+      }
+      userLogger.warn('Workflow failed, email-ready flag not set', {
+        workflowRunId,
+        deadLettered: Boolean(workflowError.retryable),
+        error: workflowError
+      });
+      return { status: 'failed', workflowRunId };
+    }
+
+    if (result && Object.keys(result).length > 0) {
+      await repository.updateWorkflowRun(workflowRunId, {
+        status: 'succeeded',
+        finished_at: new Date().toISOString(),
+        result,
+        // Usage, for billing and capacity planning
+        queries_analyzed: result.data?.searchQueries?.length ?? null,
+        videos_analyzed: result.data?.videosCount ?? null
+      });
+      await repository.updateLastRunTimestamp(user.id);
+      await repository.markAnalysisReady(user.id);
+      await repository.markChannelsReady(user.id);
+      await repository.resolveDeadLetter(user.id, scheduledFor);
+      userLogger.info('Analysis stored', { workflowRunId, resultKeys: Object.keys(result) });
+      return { status: 'succeeded' };
+    } else {
+      const reason = result === null ? 'No business description' : 'Workflow returned an empty result';
+      await repository.updateWorkflowRun(workflowRunId, {
+        status: 'skipped',
+        finished_at: new Date().toISOString(),
+        error_message: reason,
+        email_status: 'skipped'
+      });
+      // Mark the slot as handled so the user isn't retried every tick
+      await repository.updateLastRunTimestamp(user.id);
+      userLogger.info('Workflow returned no result, email-ready flag not set', { workflowRunId, reason });
+      return { status: 'skipped', reason: result === null ? 'no_business_description' : 'empty_result' };
+    }
+  }
+
+  /**
+   * Find the report a user received before this run's, for the "What's new" section
+   * @param {Object} user - User object
+   * @param {Object} run - workflow_runs row about to be emailed
+   * @returns {Promise<{results: Object, date: string}|null>} - Null before the first report
+   */
+  async function getPreviousReport(user, run) {
+    const previousRun = await repository.getLastReportedRun(user.id, run.scheduled_for);
+    return previousRun?.result ? { results: previousRun.result, date: previousRun.scheduled_for } : null;
+  }
+
+  /**
+   * Tell a user their trends couldn't be refreshed, rather than sending them nothing
+   * The notice serves the slot, so neither the analysis nor the email is
+   * retried until the next one.
+   * @param {Object} user - User object
+   * @param {Date} scheduledFor - The email slot being served
+   * @param {string} workflowRunId - The failed refresh, which records why it failed
+   * @param {Object} userLogger - Logger carrying the user's context
+   * @returns {Promise<StepOutcome>}
+   */
+  async function sendRefreshFailedNotice(user, scheduledFor, workflowRunId, userLogger) {
+    try {
+      await mailer.sendRefreshFailedNotice(user, { reportDate: scheduledFor, logger: userLogger });
+    } catch (emailError) {
+      await repository.updateWorkflowRun(workflowRunId, {
+        email_status: 'failed',
+        email_error: emailError.message
+      });
+      userLogger.warn('Refresh-failed notice not sent', { workflowRunId });
+      return { status: 'failed' };
+    }
+
+    const sentAt = new Date().toISOString();
+    await repository.updateWorkflowRun(workflowRunId, {
+      email_status: 'notice_sent',
+      email_sent_at: sentAt,
+      email_error: null
+    });
+    await repository.markEmailSent(user.id, sentAt);
+    await repository.updateLastRunTimestamp(user.id);
+    userLogger.info('Refresh-failed notice sent', { workflowRunId });
+    return { status: 'notice_sent' };
+  }
+
+  /**
+   * Analyze a user on the spot when their email slot arrives without results for it
+   * A ready flag left over from an earlier slot would otherwise send outdated
+   * trends, and a failed or missed analysis would send nothing at all. If the
+   * analysis fails again, the user gets a short notice instead of the report.
+   * @param {Object} user - User object
+   * @param {Object|null} staleRun - The pending workflow_runs row prepared for an earlier slot, if any
+   * @param {Date} scheduledFor - The email slot being served
+   * @param {AbortSignal} signal - Aborted when the user's time is up
+   * @param {Object} context - Per-user context
+   * @param {boolean} [context.preview] - Only log that the results would be refreshed
+   * @param {StepOutcome|null} [context.analysisOutcome] - Outcome of the user's analysis earlier in this tick, if any
+   * @param {string} context.correlationId - Sent to the backend with the workflow call
+   * @param {Map<string, Object>} context.pricingPlans - Plans keyed by ID, from getPlans
+   * @param {Date} context.now - The tick's time
+   * @param {Object} context.logger - Logger carrying the user's context
+   * @returns {Promise<{run: Object|null}|{outcome: StepOutcome}>} - The run to email, or the email's outcome if there is none
+   */
+  async function refreshResults(user, staleRun, scheduledFor, signal, { preview = false, analysisOutcome = null, correlationId, pricingPlans, now, logger: userLogger }) {
+    const slotRun = await repository.getLatestRunForSlot(user.id, scheduledFor);
+    if (isSettled(slotRun)) {
+      userLogger.info('Skipping email - the analysis for this slot produced no results', { workflowRunId: slotRun.id, status: slotRun.status });
+      return { outcome: { status: 'skipped', reason: 'no_results' } };
+    }
+
+    const refreshReason = staleRun
+      ? `Pending results were prepared for ${new Date(staleRun.scheduled_for).toISOString()}, not for ${scheduledFor.toISOString()}`
+      : `No results were prepared for ${scheduledFor.toISOString()}`;
+    if (preview) {
+      userLogger.info('Would analyze now - results are not fresh', { refreshReason });
+      return { run: staleRun };
+    }
+
+    // Slots only move forward, so stale results would never be sent
+    if (staleRun) {
+      await repository.updateWorkflowRun(staleRun.id, {
+        email_status: 'skipped',
+        email_error: refreshReason
+      });
+    }
+
+    // A catch-up analysis that failed moments ago, in this tick's analysis
+    // phase, already was the attempt to refresh
+    if (analysisOutcome?.status === 'failed') {
+      userLogger.info('Not analyzing again - the analysis failed earlier in this tick', { refreshReason, workflowRunId: analysisOutcome.workflowRunId });
+      return { outcome: await sendRefreshFailedNotice(user, scheduledFor, analysisOutcome.workflowRunId, userLogger) };
+    }
+    // Validation errors would only fail again
+    if (slotRun?.status === 'failed' && slotRun.error_details?.retryable === false) {
+      userLogger.info('Not analyzing again - the analysis for this slot failed validation', { refreshReason, workflowRunId: slotRun.id });
+      return { outcome: await sendRefreshFailedNotice(user, scheduledFor, slotRun.id, userLogger) };
+    }
+
+    userLogger.info('Analyzing now - results are not fresh', { refreshReason, staleWorkflowRunId: staleRun?.id ?? null });
+    const outcome = await withUserLease(
+      'analysis',
+      { user, logger: userLogger },
+      () => false,
+      freshUser => analyzeUser(freshUser, scheduledFor, signal, { correlationId, pricingPlans, now, refreshReason, logger: userLogger })
+    );
+
+    switch (outcome.status) {
+      case 'succeeded':
+        return { run: await repository.getLatestRunForEmail(user.id) };
+      case 'failed':
+        return { outcome: await sendRefreshFailedNotice(user, scheduledFor, outcome.workflowRunId, userLogger) };
+      default:
+        // e.g. the quota is used up, or another invocation holds the analysis lease
+        userLogger.info('Skipping email - results could not be refreshed', { reason: outcome.reason });
+        return { outcome };
+    }
+  }
+
+  /**
+   * Send the pending analysis email to one user
+   * Scheduled emails only send results prepared for their slot, refreshing
+   * them first if needed; --user resends the latest results as they are.
+   * @param {Object} user - User object
+   * @param {Date} scheduledFor - The email slot being served
+   * @param {AbortSignal} signal - Aborted when the user's time is up
+   * @param {Object} [options] - Email options
+   * @param {boolean} [options.force] - Send the latest results even if they were already emailed
+   * @param {boolean} [options.preview] - Write the email to a file instead of sending it, leaving all state untouched
+   * @param {string|null} [options.suppressed] - Why the address must not be emailed, if it is on the suppression list
+   * @param {StepOutcome|null} [options.analysisOutcome] - Outcome of the user's analysis earlier in this tick, if any
+   * @param {string} options.correlationId - Sent to the backend if the results need refreshing
+   * @param {Map<string, Object>} options.pricingPlans - Plans keyed by ID, from getPlans
+   * @param {Date} options.now - The tick's time
+   * @param {Object} options.logger - Logger carrying the user's context
+   * @returns {Promise<StepOutcome>}
+   */
+  async function emailUser(user, scheduledFor, signal, { force = false, preview = false, suppressed = null, analysisOutcome = null, correlationId, pricingPlans, now, logger: userLogger }) {
+    userLogger.info('Processing email', { force, preview });
+
+    if (suppressed) {
+      userLogger.info('Skipping email - address is suppressed', { suppressionReason: suppressed });
+      if (!force && !preview) {
+        await repository.markEmailSlotServed(user.id, new Date().toISOString());
+      }
+      return { status: 'skipped', reason: 'suppressed' };
+    }
+
+    // --user --preview can still show an opted-out user's email
+    if (!user.email_notifications && !(force && preview)) {
+      userLogger.info('Skipping email - user has opted out of email notifications');
+      if (!force && !preview) {
+        // Planned for their delivery channels only; the slot is served once they've had it
+        await repository.markEmailSlotServed(user.id, new Date().toISOString());
+      }
+      return { status: 'skipped', reason: 'opted_out' };
+    }
+
+    let run = force || user.analysis_ready_for_email
+      ? await repository.getLatestRunForEmail(user.id, { includeSent: force })
+      : null;
+
+    if (!force && !isFreshFor(run, scheduledFor)) {
+      const refreshed = await refreshResults(user, run, scheduledFor, signal, { preview, analysisOutcome, correlationId, pricingPlans, now, logger: userLogger });
+      if (refreshed.outcome) {
+        return refreshed.outcome;
+      }
+      run = refreshed.run;
+    }
+
+    if (run && run.result && Object.keys(run.result).length > 0) {
+      const previous = await getPreviousReport(user, run);
+      if (preview) {
+        await previewMailer.send(user, run.result, { reportDate: run.scheduled_for, previous, logger: userLogger });
+        return { status: 'skipped', reason: 'preview' };
+      }
+
+      try {
+        await mailer.send(user, run.result, { reportDate: run.scheduled_for, previous, logger: userLogger });
+      } catch (emailError) {
+        await repository.updateWorkflowRun(run.id, {
+          email_status: 'failed',
+          email_error: emailError.message
+        });
+        userLogger.warn('Email not sent, email-ready flag left set', { workflowRunId: run.id });
+        return { status: 'failed' };
+      }
+
+      const sentAt = new Date().toISOString();
+      await repository.updateWorkflowRun(run.id, {
+        email_status: 'sent',
+        email_sent_at: sentAt,
+        email_error: null
+      });
+      await repository.markEmailSent(user.id, sentAt);
+      userLogger.info('Email status updated', { workflowRunId: run.id });
+      return { status: 'sent' };
+    } else {
+      userLogger.info('Skipping email - missing prerequisites', {
+        analysisReadyForEmail: Boolean(user.analysis_ready_for_email),
+        hasUnsentResults: Boolean(run?.result && Object.keys(run.result).length > 0)
+      });
+      return { status: 'skipped', reason: 'no_results' };
+    }
+  }
+
+  /**
+   * Post the latest results to each of the user's delivery channels that hasn't had them yet
+   * Channels keep their own ready flag, so one failing doesn't hold back the
+   * email or the other channels, and is retried with the next report.
+   * @param {Object} user - User object
+   * @param {Date} scheduledFor - The email slot being served
+   * @param {Object} options - Delivery options
+   * @param {boolean} [options.force] - Deliver the latest results even to channels that are up to date
+   * @param {boolean} [options.preview] - Only log which channels would get the report
+   * @param {AbortSignal} [options.signal] - Aborted when the user's time is up
+   * @param {Object} options.logger - Logger carrying the user's context
+   * @returns {Promise<Array<{channel: string, status: 'sent'|'failed'}>>} - One entry per attempted channel
+   */
+  async function deliverToChannels(user, scheduledFor, { force = false, preview = false, signal, logger: userLogger }) {
+    let channels;
+    try {
+      channels = await repository.getDeliveryChannels(user.id, { includeDelivered: force });
+    } catch (error) {
+      // The email already went out; don't report it as failed
+      userLogger.error('Error fetching delivery channels', { error });
+      return [];
+    }
+    if (channels.length === 0) {
+      return [];
+    }
+
+    const run = await repository.getLatestRunForEmail(user.id, { includeSent: true });
+    if (!run?.result || Object.keys(run.result).length === 0) {
+      userLogger.info('Skipping channel delivery - no results to deliver', { channels: channels.length });
+      return [];
+    }
+    if (!force && !isFreshFor(run, scheduledFor)) {
+      userLogger.info('Skipping channel delivery - no results for this slot', { channels: channels.length, workflowRunId: run?.id ?? null });
+      return [];
+    }
+    if (preview) {
+      userLogger.info('Would deliver to channels', { channels: channels.map(channel => channel.type), workflowRunId: run.id });
+      return [];
+    }
+
+    const report = buildReport(user, run.result, { date: run.scheduled_for, previous: await getPreviousReport(user, run) });
+    const deliveries = [];
+    for (const channel of channels) {
+      const attemptedAt = new Date().toISOString();
+      try {
+        await channelSender.deliver(channel, report, { userId: user.id, workflowRunId: run.id, signal });
+        await repository.updateDeliveryChannel(channel.id, {
+          analysis_ready: false,
+          last_delivered_at: attemptedAt,
+          last_delivered_run_id: run.id,
+          last_attempt_at: attemptedAt,
+          last_error: null
+        });
+        userLogger.info('Delivered report', { channel: channel.type, channelId: channel.id, workflowRunId: run.id });
+        deliveries.push({ channel: channel.type, status: 'sent' });
+      } catch (error) {
+        await repository.updateDeliveryChannel(channel.id, { last_attempt_at: attemptedAt, last_error: error.message });
+        userLogger.warn('Report not delivered, channel left ready', { channel: channel.type, channelId: channel.id, error });
+        deliveries.push({ channel: channel.type, status: 'failed' });
+      }
+    }
+    return deliveries;
+  }
+
+  /**
+   * Analysis worker: run a planned analysis under the user's analysis lease
+   * @param {Object} job - Analysis job
+   * @param {Object} job.user - User object as read when planning the tick
+   * @param {Date} job.scheduledFor - The email slot this analysis prepares
+   * @param {Date} job.dueAt - When the analysis became due
+   * @param {boolean} job.force - Run even if the analysis was already done
+   * @param {boolean} [job.deadLettered] - Retry of a failed analysis from the dead-letter queue
+   * @param {string} job.correlationId - Identifies this user's work in this run
+   * @param {Map<string, Object>} job.pricingPlans - Plans keyed by ID, from getPlans
+   * @param {Date} job.now - The tick's time
+   * @param {Object} job.logger - Logger carrying the user's context
+   * @param {AbortSignal} signal - Aborted when the user's time is up
+   * @returns {Promise<void>} - The step's outcome is stored in job.outcome
+   */
+  async function processUserAnalysis(job, signal) {
+    const { user: plannedUser, scheduledFor, dueAt, force, deadLettered } = job;
+    // The failure that dead-lettered the slot already marked it as handled,
+    // so a retry is only done if another invocation has run it since
+    const isAlreadyDone = deadLettered
+      ? freshUser => Boolean(freshUser.last_workflow_run) &&
+        (!plannedUser.last_workflow_run || new Date(freshUser.last_workflow_run) > new Date(plannedUser.last_workflow_run))
+      : freshUser => !force && Boolean(freshUser.last_workflow_run) && new Date(freshUser.last_workflow_run) >= dueAt;
+    job.outcome = await withUserLease(
+      'analysis',
+      job,
+      isAlreadyDone,
+      freshUser => analyzeUser(freshUser, scheduledFor, signal, job)
+    );
+  }
+
+  /**
+   * Email worker: send a planned email, and post the report to the user's
+   * other delivery channels, under the user's email lease
+   * @param {Object} job - Email job
+   * @param {Object} job.user - User object as read when planning the tick
+   * @param {Date} job.scheduledFor - The email slot being served
+   * @param {boolean} job.force - Send even if the email was already sent
+   * @param {boolean} job.preview - Write the email to a file instead of sending it
+   * @param {string|null} job.suppressed - Why the address must not be emailed; other channels still get the report
+   * @param {string} job.correlationId - Identifies this user's work in this run
+   * @param {Map<string, Object>} job.pricingPlans - Plans keyed by ID, for refreshing stale results
+   * @param {Date} job.now - The tick's time
+   * @param {StepOutcome|null} job.analysisOutcome - Outcome of the user's analysis earlier in this tick, if any
+   * @param {Object} job.logger - Logger carrying the user's context
+   * @param {AbortSignal} signal - Aborted when the user's time is up
+   * @returns {Promise<void>} - The email's outcome is stored in job.outcome, and each channel's in job.deliveries
+   */
+  async function processUserEmail(job, signal) {
+    const { scheduledFor, force, preview } = job;
+    job.outcome = await withUserLease(
+      'email',
+      job,
+      freshUser => !force && Boolean(freshUser.last_email_sent) && new Date(freshUser.last_email_sent) >= scheduledFor,
+      async freshUser => {
+        const outcome = await emailUser(freshUser, scheduledFor, signal, job);
+        job.deliveries = await deliverToChannels(freshUser, scheduledFor, { force, preview, signal, logger: job.logger });
+        return outcome;
+      }
+    );
+  }
+
+  /**
+   * Report what a run would do for the planned users, without changing anything
+   * @param {Array<Object>} plans - Planned users with their analysis and email decisions
+   * @param {Object} options - Run options
+   * @returns {Promise<void>}
+   */
+  async function reportDryRun(plans, { phase, preview }) {
+    for (const { user, analysis, email, logger: userLogger } of plans) {
+      if (phase !== 'email') {
+        userLogger.info(analysis.due ? 'Would analyze' : 'Would not analyze', { reason: analysis.reason });
+      }
+
+      if (phase === 'analysis') {
+        continue;
+      }
+      if (!email.due) {
+        userLogger.info('Would not email', { reason: email.reason });
+        continue;
+      }
+
+      const run = email.force || user.analysis_ready_for_email
+        ? await repository.getLatestRunForEmail(user.id, { includeSent: email.force })
+        : null;
+      if (!email.force && !isFreshFor(run, email.scheduledFor)) {
+        if (isSettled(await repository.getLatestRunForSlot(user.id, email.scheduledFor))) {
+          userLogger.info('Would skip email - the analysis for this slot produced no results', { reason: email.reason });
+        } else {
+          // An analysis due in the same tick may still produce results
+          userLogger.info('Would analyze before emailing - results are not fresh', {
+            reason: email.reason,
+            staleWorkflowRunId: run?.id ?? null,
+            unlessAnalysisSucceeds: phase !== 'email' && analysis.due
+          });
+        }
+        continue;
+      }
+      if (!run) {
+        // An analysis due in the same tick may still produce results
+        userLogger.info('Would skip email - no successful workflow run with unsent results', {
+          reason: email.reason,
+          unlessAnalysisSucceeds: phase !== 'email' && analysis.due
+        });
+        continue;
+      }
+
+      userLogger.info('Would email', { reason: email.reason, workflowRunId: run.id, resultsScheduledFor: run.scheduled_for });
+      if (preview) {
+        const previous = await getPreviousReport(user, run);
+        await previewMailer.send(user, run.result, { reportDate: run.scheduled_for, previous, logger: userLogger });
+      }
+    }
+  }
+
+  /**
+   * Run the analysis and then the email phase through worker pools and count each job's outcome
+   * @param {Array<Object>} analysisJobs - Planned analysis jobs
+   * @param {Array<Object>} emailJobs - Planned email jobs
+   * @param {Object} options - Phase options
+   * @param {'analysis'|'email'|null} options.phase - Phase the run is limited to, if any
+   * @param {number} options.tickStartedAt - Epoch milliseconds at which the tick started
+   * @param {Object} options.summary - Run summary collector
+   * @returns {Promise<void>}
+   */
+  async function runPhases(analysisJobs, emailJobs, { phase, tickStartedAt, summary }) {
+    // Leave part of the budget for the email phase so a slow analysis
+    // phase can't starve it
+    const budgetEndsAt = tickStartedAt + config.tickBudgetMs;
+    const analysisDeadline = budgetEndsAt - (phase === 'analysis' ? 0 : config.emailPhaseReserveMs);
+    const analysisOutcome = await summary.measure('analysis', () => runWorkerPool(analysisJobs, processUserAnalysis, {
+      concurrency: config.workerConcurrency,
+      itemTimeoutMs: config.userTimeoutMs,
+      deadline: analysisDeadline,
+      onError: (job, error) => job.logger.error('Error processing analysis', { error })
+    }));
+
+    const analysisOutcomes = new Map(analysisOutcome.completed.map(job => [job.user.id, job.outcome]));
+    for (const job of emailJobs) {
+      job.analysisOutcome = analysisOutcomes.get(job.user.id) ?? null;
+    }
+
+    const emailOutcome = await summary.measure('email', () => runWorkerPool(emailJobs, processUserEmail, {
+      concurrency: config.workerConcurrency,
+      itemTimeoutMs: config.userTimeoutMs,
+      deadline: budgetEndsAt,
+      onError: (job, error) => job.logger.error('Error processing email', { error })
+    }));
+
+    for (const [stepPhase, outcome] of [['analysis', analysisOutcome], ['email', emailOutcome]]) {
+      for (const job of outcome.completed) {
+        summary.record(stepPhase, job.outcome.status, job.outcome.reason);
+        for (const { channel, status } of job.deliveries ?? []) {
+          summary.recordDelivery(channel, status);
+        }
+      }
+      for (const job of outcome.failed) {
+        summary.record(stepPhase, 'failed');
+      }
+      // Deferred users keep their old last_workflow_run / last_email_sent, so
+      // the next tick's catch-up picks them up
+      for (const job of outcome.deferred) {
+        summary.record(stepPhase, 'deferred');
+        job.logger.warn(`Deferred ${stepPhase} to the next tick (time budget exhausted)`);
+      }
+    }
+  }
+
+  /**
+   * Main function to run scheduled workflows
+   * @param {Object} [options] - Run options, see USAGE
+   * @param {boolean} [options.dryRun] - Only report what would happen
+   * @param {Date|null} [options.at] - Evaluate schedules as if it were this time
+   * @param {string|null} [options.user] - ID or email of a single user to process now, ignoring their schedule
+   * @param {'analysis'|'email'|null} [options.phase] - Run only one phase
+   * @param {boolean} [options.preview] - Write emails to files instead of sending them
+   * @returns {Promise<Object>} - Summary of the run, from createRunSummary
+   * @throws {Error} - If the run failed as a whole, e.g. because the users could not be read. The summary is reported first.
+   */
+  async function runScheduledWorkflows({ dryRun = false, at = null, user: userReference = null, phase = null, preview = false } = {}) {
+    const runLogger = dryRun ? logger.child({ dryRun: true }) : logger;
+    const summary = createRunSummary({ runId, dryRun });
+    let fatalError = null;
+
+    try {
+      runLogger.info('Starting scheduled workflow execution', { phase, preview });
+
+      const tickStartedAt = Date.now();
+      const now = at || new Date(tickStartedAt);
+      runLogger.info('Evaluating schedules', { now, simulated: Boolean(at), catchupGraceHours: config.catchupGraceHours });
+
+      let users;
+      if (userReference) {
+        users = [await repository.findUser(userReference)];
+        runLogger.info('Processing single user on demand', { user: runLogger.hash(users[0].id) });
+      } else {
+        // Fetch all users who have opted in for scheduled workflow
+        users = await repository.getOptedInUsers();
+        runLogger.info('Found users with email notifications enabled', { count: users.length });
+      }
+      summary.setConsidered(users.length);
+
+      // Filter users whose analysis or email is due since it last ran.
+      // Keyed by user id so a user is never processed twice in one cycle.
+      const plans = new Map();
+      const usersForAnalysis = new Map();
+      const usersForEmail = new Map();
+
+      for (const user of users) {
+        // Ties together everything logged about this user in this run,
+        // including the backend's logs for the workflow call
+        const correlationId = randomUUID();
+        const userLogger = runLogger.child({ correlationId, user: runLogger.hash(user.id) });
+
+        const plan = planUser(user, now, {
+          granularityMinutes: config.scheduleGranularityMinutes,
+          catchupGraceMs: config.catchupGraceHours * HOUR_MS
+        });
+
+        const { schedule } = plan;
+        for (const warning of schedule.warnings) {
+          userLogger.warn(`Invalid schedule setting: ${warning}`);
+        }
+        userLogger.debug('Planned user', {
+          timezone: schedule.timezone,
+          localTime: `${schedule.hour}:${String(schedule.minute).padStart(2, '0')}`,
+          weekdays: [...schedule.weekdays],
+          pausedUntil: schedule.pausedUntil,
+          analysisDueAt: plan.analysis.dueAt,
+          emailDueAt: plan.email.dueAt
+        });
+
+        if (userReference) {
+          // Run on demand, regardless of the schedule
+          const reason = 'requested with --user';
+          plan.analysis = { ...plan.analysis, scheduledFor: plan.analysis.scheduledFor || now, due: true, force: true, reason };
+          plan.email = { ...plan.email, due: true, force: true, reason };
+        }
+        plans.set(user.id, { user, analysis: plan.analysis, email: plan.email, correlationId, logger: userLogger });
+
+        if (plan.analysis.due && phase !== 'email') {
+          usersForAnalysis.set(user.id, { user, ...plan.analysis, correlationId, logger: userLogger });
+        }
+
+        if (plan.email.due && phase !== 'analysis') {
+          usersForEmail.set(user.id, { user, ...plan.email, preview, correlationId, logger: userLogger });
+        }
+      }
+
+      // Retry users whose workflow failed on an earlier tick, as long as
+      // their email slot hasn't arrived yet
+      if (!userReference && phase !== 'email') {
+        if (!dryRun) {
+          await repository.expireDeadLetters(now);
+        }
+
+        const deadLetters = await repository.getRetryableDeadLetters(now);
+        for (const deadLetter of deadLetters) {
+          const plan = plans.get(deadLetter.user_id);
+          if (plan && !usersForAnalysis.has(plan.user.id)) {
+            const scheduledFor = new Date(deadLetter.scheduled_for);
+            const reason = `retrying dead-lettered workflow (attempts so far: ${deadLetter.attempts})`;
+            plan.logger.info('Retrying dead-lettered workflow', { attempts: deadLetter.attempts, scheduledFor });
+            plan.analysis = {
+              scheduledFor,
+              dueAt: new Date(scheduledFor.getTime() - ANALYSIS_LEAD_MS),
+              due: true,
+              deadLettered: true,
+              reason
+            };
+            usersForAnalysis.set(plan.user.id, { user: plan.user, ...plan.analysis, correlationId: plan.correlationId, logger: plan.logger });
+          }
+        }
+      }
+
+      // Never email addresses that bounced or complained. Their other
+      // delivery channels still get the report, and previews are still
+      // allowed, since they don't send anything.
+      if (usersForEmail.size > 0 && !preview) {
+        const suppressed = await repository.getSuppressedEmails([...usersForEmail.values()].map(job => job.user.email));
+        for (const job of usersForEmail.values()) {
+          job.suppressed = suppressed.get(job.user.email?.trim().toLowerCase()) ?? null;
+        }
+      }
+
+      // Users that aren't due are skipped for the reason the schedule gives
+      for (const { user, analysis, email } of plans.values()) {
+        if (phase !== 'email' && !usersForAnalysis.has(user.id)) {
+          summary.record('analysis', 'skipped', analysis.code);
+        }
+        if (phase !== 'analysis' && !usersForEmail.has(user.id)) {
+          summary.record('email', 'skipped', email.code);
+        }
+      }
+
+      runLogger.info('Planned tick', { analysisCount: usersForAnalysis.size, emailCount: usersForEmail.size });
+
+      // Read once per run; every analysis needs the user's plan for its options
+      // and quota, including the ones run in the email hour for stale results.
+      // The quota period is the tick's, so --at can simulate a new month.
+      if (usersForAnalysis.size + usersForEmail.size > 0 && !dryRun) {
+        const pricingPlans = await repository.getPlans();
+        for (const job of [...usersForAnalysis.values(), ...usersForEmail.values()]) {
+          job.pricingPlans = pricingPlans;
+          job.now = now;
+        }
+      }
+
+      if (dryRun) {
+        await reportDryRun([...plans.values()], { phase, preview });
+        // Nothing runs in a dry run, so due steps count as skipped
+        for (const [stepPhase, jobs] of [['analysis', usersForAnalysis], ['email', usersForEmail]]) {
+          for (let i = 0; i < jobs.size; i++) {
+            summary.record(stepPhase, 'skipped', 'dry_run');
+          }
+        }
+        runLogger.info('Dry run completed - nothing was changed');
+      } else {
+        await runPhases([...usersForAnalysis.values()], [...usersForEmail.values()], { phase, tickStartedAt, summary });
+      }
+    } catch (error) {
+      fatalError = error;
+      runLogger.error('Error running scheduled workflows', { error });
+    }
+
+    const runSummary = summary.finish({ error: fatalError });
+    runLogger.info(fatalError ? 'Scheduled workflow execution failed' : 'Scheduled workflow execution completed', runSummary);
+    if (!dryRun) {
+      await reporter.report(runSummary);
+    }
+
+    if (fatalError) {
+      throw fatalError;
+    }
+    return runSummary;
+  }
+
+  return { runScheduledWorkflows };
+}
@@ -0,0 +1,540 @@
+/**
+ * Parser for the marketingStrategy payload returned by complete-workflow.
+ *
+ * The strategy is written by an LLM, so the same section can arrive as a
+ * markdown list, numbered list, prose, a JSON array or embedded in one big
+ * `rawContent` string, with newlines either real or escaped as `\n`. This
+ * module turns all of those into one structure the email templates can rely on.
+ */
+
+/**
+ * @typedef {Object} ListBlock
+ * @property {Array<string>} items - Bullet or numbered list items
+ */
+
+/**
+ * @typedef {Object} ParagraphBlock
+ * @property {Array<string>} lines - Consecutive lines of prose
+ */
+
+/**
+ * @typedef {Object} TextSection
+ * @property {Array<ListBlock|ParagraphBlock>} blocks - Content in its original order
+ */
+
+/**
+ * @typedef {Object} SampleScript
+ * @property {Array<string>} visualCues - Shot-by-shot visual cues
+ * @property {Array<string>} voiceover - Voiceover or on-screen script lines
+ */
+
+/**
+ * @typedef {Object} HashtagGroup
+ * @property {string|null} title - Group title such as "Primary (Niche)", null if the strategy isn't grouped
+ * @property {Array<string>} tags - Hashtags, including the leading `#`
+ */
+
+/**
+ * @typedef {Object} UnparsedField
+ * @property {string} field - Payload field name
+ * @property {string} reason - Why the field couldn't be (fully) parsed
+ */
+
+/**
+ * @typedef {Object} ParsedStrategy
+ * @property {TextSection|null} observations
+ * @property {TextSection|null} keyTakeaways
+ * @property {SampleScript|null} sampleScript
+ * @property {TextSection|null} technicalSpecifications
+ * @property {Array<string>|null} contentThemes
+ * @property {{groups: Array<HashtagGroup>}|null} hashtagStrategy
+ * @property {TextSection|null} postingFrequency
+ * @property {string|null} closingNote - Concluding sentence of the strategy, if any
+ * @property {Array<UnparsedField>} unparsed - Fields that were skipped or only parsed on a best-effort basis
+ */
+
+// Known sections and the headings the LLM uses for them, lower-cased
+const SECTION_ALIASES = {
+  observations: ['observations', 'key observations', 'trend observations'],
+  keyTakeaways: ['key trend takeaways', 'key takeaways', 'trend takeaways', 'takeaways'],
+  sampleScript: ['sample tiktok script', 'sample script', 'example script', 'tiktok script'],
+  technicalSpecifications: ['technical specifications', 'technical specs', 'technical details'],
+  contentThemes: ['general content themes', 'content themes', 'themes'],
+  hashtagStrategy: ['hashtag strategy', 'hashtags'],
+  postingFrequency: ['posting frequency', 'posting schedule', 'posting cadence']
+};
+
+const SECTION_KEYS = Object.keys(SECTION_ALIASES);
+
+const BULLET_PATTERN = /^(?:[-*•–+]|\d{1,2}[.)])\s+(.*)$/;
+const HEADING_PATTERN = /^#{1,6}\s+(.*)$/;
+const HASHTAG_PATTERN = /#[\p{L}\p{N}_]+/gu;
+// A label is either alone on its line or followed by a colon, e.g. "Visuals" or "Voiceover/Script: Hey!"
+const VISUAL_CUES_LABEL = /^(?:visual cues?|visuals|scenes?|shots?)\s*(?::\s*(.*))?$/i;
+const VOICEOVER_LABEL = /^(?:voice[- ]?over(?:\s*\/\s*script)?|script|narration)\s*(?::\s*(.*))?$/i;
+const CLOSING_NOTE_PATTERN = /^this strategy\b/i;
+
+/**
+ * Normalize LLM text: real newlines, no bold/italic markers, no horizontal rules
+ * @param {string} text - Raw text
+ * @returns {Array<string>} - Trimmed lines, blank lines kept as ''
+ */
+function toLines(text) {
+  return text
+    .replace(/\\r\\n|\\n|\\r/g, '\n') // Escaped newlines from double-encoded JSON
+    .replace(/\r\n?/g, '\n')
+    .replace(/\*\*|__/g, '')
+    .split('\n')
+    .map(line => line.trim())
+    .map(line => (/^(?:-{3,}|\*{3,}|_{3,})$/.test(line) ? '' : line));
+}
+
+/**
+ * Strip surrounding emphasis and quote markers that survive bold removal
+ * @param {string} text - Item text
+ * @returns {string}
+ */
+function cleanInline(text) {
+  return text
+    .replace(/^\*\s*/, '')
+    .replace(/\s*\*$/, '')
+    .replace(/^\*(?=["“])/, '')
+    .replace(/(?<=["”])\*$/, '')
+    .trim();
+}
+
+/**
+ * Match a line against the known section headings
+ * Accepts "Observations:", "1. Observations:", "### Observations" and the like.
+ * @param {string} line - Normalized line
+ * @returns {{key: string, rest: string}|null} - Section key and any content after the heading
+ */
+function matchSectionHeading(line) {
+  const unwrapped = line.replace(HEADING_PATTERN, '$1').replace(/^\d{1,2}[.)]\s*/, '').trim();
+  const match = unwrapped.match(/^([^:]+?)\s*(?::\s*(.*))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const title = match[1].toLowerCase().replace(/[^\p{L}\s]/gu, '').replace(/\s+/g, ' ').trim();
+  const hasColon = unwrapped.includes(':');
+  const isHeading = hasColon || HEADING_PATTERN.test(line) || /^\d{1,2}[.)]/.test(line);
+  if (!isHeading) {
+    return null;
+  }
+
+  const key = SECTION_KEYS.find(sectionKey => SECTION_ALIASES[sectionKey].includes(title));
+  return key ? { key, rest: (match[2] || '').trim() } : null;
+}
+
+/**
+ * Drop a leading heading that just repeats the section's own title
+ * @param {Array<string>} lines - Normalized lines
+ * @param {string} key - Section key
+ * @returns {Array<string>}
+ */
+function stripOwnHeading(lines, key) {
+  const firstIndex = lines.findIndex(line => line);
+  if (firstIndex === -1) {
+    return lines;
+  }
+
+  const heading = matchSectionHeading(lines[firstIndex]);
+  if (!heading || heading.key !== key) {
+    return lines;
+  }
+
+  const rest = lines.slice(firstIndex + 1);
+  return heading.rest ? [heading.rest, ...rest] : rest;
+}
+
+/**
+ * Group lines into list and paragraph blocks, keeping their order
+ * @param {Array<string>} lines - Normalized lines
+ * @returns {Array<ListBlock|ParagraphBlock>}
+ */
+function toBlocks(lines) {
+  const blocks = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (!line) {
+      // A blank line ends a paragraph, but lists often have blank lines between items
+      if (current && current.lines) {
+        current = null;
+      }
+      continue;
+    }
+
+    const bullet = line.match(BULLET_PATTERN);
+    if (bullet) {
+      const item = cleanInline(bullet[1]);
+      if (!item) {
+        continue;
+      }
+      if (!current || !current.items) {
+        current = { items: [] };
+        blocks.push(current);
+      }
+      current.items.push(item);
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    const text = cleanInline(heading ? heading[1] : line);
+    if (!text) {
+      continue;
+    }
+    if (!current || !current.lines) {
+      current = { lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(text);
+  }
+
+  return blocks;
+}
+
+/**
+ * Parse a free-form section into ordered list and paragraph blocks
+ * @param {string} text - Raw section text
+ * @param {string} key - Section key
+ * @returns {TextSection|null}
+ */
+function parseTextSection(text, key) {
+  const blocks = toBlocks(stripOwnHeading(toLines(text), key));
+  return blocks.length > 0 ? { blocks } : null;
+}
+
+/**
+ * Clean up one item of an array field, which may still carry a bullet or emphasis
+ * @param {string} item - Raw item
+ * @returns {string}
+ */
+function cleanListItem(item) {
+  const line = toLines(item).filter(part => part).join(' ');
+  const bullet = line.match(BULLET_PATTERN);
+  return cleanInline(bullet ? bullet[1] : line);
+}
+
+/**
+ * Parse a section sent as an array of strings into a single list block
+ * @param {Array<string>} items - Section items
+ * @returns {TextSection|null}
+ */
+function parseTextList(items) {
+  const cleaned = items.map(cleanListItem).filter(item => item);
+  return cleaned.length > 0 ? { blocks: [{ items: cleaned }] } : null;
+}
+
+/**
+ * Parse the sample script into visual cues and voiceover lines
+ * @param {string} text - Raw sample script
+ * @param {Array<UnparsedField>} unparsed - Collects fields that needed a fallback
+ * @returns {SampleScript|null}
+ */
+function parseSampleScript(text, unparsed) {
+  const lines = stripOwnHeading(toLines(text), 'sampleScript');
+  const script = { visualCues: [], voiceover: [] };
+  let target = null;
+  let foundLabel = false;
+
+  for (const line of lines) {
+    if (!line) {
+      continue;
+    }
+
+    // Labels may themselves be bullets or headings, e.g. "- Visual Cues:" or "### Voiceover"
+    const bullet = line.match(BULLET_PATTERN);
+    const unwrapped = cleanInline((bullet ? bullet[1] : line).replace(HEADING_PATTERN, '$1'));
+    const visualLabel = unwrapped.match(VISUAL_CUES_LABEL);
+    const voiceoverLabel = unwrapped.match(VOICEOVER_LABEL);
+
+    if (visualLabel || voiceoverLabel) {
+      foundLabel = true;
+      target = visualLabel ? script.visualCues : script.voiceover;
+      const rest = cleanInline((visualLabel || voiceoverLabel)[1] || '');
+      if (rest) {
+        target.push(rest);
+      }
+      continue;
+    }
+
+    const content = cleanInline(bullet ? bullet[1] : line);
+    if (content) {
+      (target || script.voiceover).push(content);
+    }
+  }
+
+  if (!foundLabel && script.voiceover.length > 0) {
+    unparsed.push({ field: 'sampleScript', reason: 'No "Visual Cues" or "Voiceover/Script" labels found; kept as voiceover' });
+  }
+
+  return script.visualCues.length > 0 || script.voiceover.length > 0 ? script : null;
+}
+
+/**
+ * Parse the content themes into a flat list
+ * @param {Array<string>|string} value - Themes as an array, a JSON array string or text
+ * @param {Array<UnparsedField>} unparsed - Collects fields that were skipped
+ * @returns {Array<string>|null}
+ */
+function parseContentThemes(value, unparsed) {
+  let candidates;
+
+  if (Array.isArray(value)) {
+    candidates = value;
+  } else {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        candidates = JSON.parse(trimmed);
+      } catch (error) {
+        unparsed.push({ field: 'contentThemes', reason: 'Looked like a JSON array but could not be parsed; read as text' });
+      }
+    }
+
+    if (!Array.isArray(candidates)) {
+      // Every list item or prose line is a theme
+      candidates = toBlocks(stripOwnHeading(toLines(value), 'contentThemes'))
+        .flatMap(block => block.items || block.lines);
+    }
+  }
+
+  const skipped = candidates.filter(theme => typeof theme !== 'string').length;
+  if (skipped > 0) {
+    unparsed.push({ field: 'contentThemes', reason: `${skipped} non-text theme(s) ignored` });
+  }
+
+  const themes = candidates
+    .filter(theme => typeof theme === 'string')
+    .map(cleanListItem)
+    // Drop leftover markers such as "*", "--" or a bare "2."
+    .filter(theme => theme.length > 1 && !/^(?:[-*•–]+|\d+\.?)$/.test(theme));
+
+  return themes.length > 0 ? themes : null;
+}
+
+/**
+ * Parse the hashtag strategy into titled groups of hashtags
+ * @param {string} text - Raw hashtag strategy
+ * @returns {{groups: Array<HashtagGroup>}|null}
+ */
+function parseHashtagStrategy(text) {
+  const groups = [];
+  let current = null;
+
+  const ensureGroup = title => {
+    current = { title, tags: [] };
+    groups.push(current);
+    return current;
+  };
+
+  for (const line of stripOwnHeading(toLines(text), 'hashtagStrategy')) {
+    if (!line) {
+      continue;
+    }
+
+    const bullet = line.match(BULLET_PATTERN);
+    const unwrapped = cleanInline((bullet ? bullet[1] : line).replace(HEADING_PATTERN, '$1'));
+
+    // A group title is a short label ending in a colon, e.g. "Primary (Niche):" or "- Broad Appeal: #fyp"
+    const titleMatch = unwrapped.match(/^([^#:]{2,60}):\s*(.*)$/);
+    const rest = titleMatch ? titleMatch[2] : unwrapped;
+    if (titleMatch && !/^e\.?\s?g\b/i.test(titleMatch[1])) {
+      ensureGroup(titleMatch[1].trim());
+    }
+
+    const tags = rest.match(HASHTAG_PATTERN) || [];
+    if (tags.length === 0 && bullet && /^[\p{L}\p{N}_]+$/u.test(rest)) {
+      // Bare words in a list are hashtags without the "#"
+      tags.push(`#${rest}`);
+    }
+
+    if (tags.length > 0) {
+      const group = current || ensureGroup(null);
+      for (const tag of tags) {
+        if (!group.tags.includes(tag)) {
+          group.tags.push(tag);
+        }
+      }
+    }
+  }
+
+  return groups.length > 0 ? { groups } : null;
+}
+
+/**
+ * Parse a hashtag strategy sent as an array of strings into one untitled group
+ * @param {Array<string>} items - Hashtags, with or without the "#", or lines of them
+ * @returns {{groups: Array<HashtagGroup>}|null}
+ */
+function parseHashtagList(items) {
+  const tags = [];
+
+  for (const item of items.map(cleanListItem)) {
+    const found = item.match(HASHTAG_PATTERN) || (/^[\p{L}\p{N}_]+$/u.test(item) ? [`#${item}`] : []);
+    for (const tag of found) {
+      if (!tags.includes(tag)) {
+        tags.push(tag);
+      }
+    }
+  }
+
+  return tags.length > 0 ? { groups: [{ title: null, tags }] } : null;
+}
+
+/**
+ * Split a single markdown document into its known sections
+ * @param {string} text - Raw content containing section headings
+ * @returns {Object<string, string>} - Section text by key, empty if no headings were recognized
+ */
+function splitRawContent(text) {
+  const sections = {};
+  let currentKey = null;
+
+  for (const line of toLines(text)) {
+    const heading = line ? matchSectionHeading(line) : null;
+    if (heading) {
+      currentKey = heading.key;
+      sections[currentKey] = heading.rest ? [heading.rest] : [];
+      continue;
+    }
+    if (currentKey) {
+      sections[currentKey].push(line);
+    }
+  }
+
+  return Object.fromEntries(Object.entries(sections).map(([key, lines]) => [key, lines.join('\n')]));
+}
+
+/**
+ * Move a trailing "This strategy ..." paragraph out of the posting frequency
+ * @param {TextSection|null} section - Parsed posting frequency
+ * @returns {string|null} - The closing note, if one was found
+ */
+function extractClosingNote(section) {
+  if (!section) {
+    return null;
+  }
+
+  const last = section.blocks[section.blocks.length - 1];
+  const index = last && last.lines ? last.lines.findIndex(line => CLOSING_NOTE_PATTERN.test(line)) : -1;
+  if (index === -1) {
+    return null;
+  }
+
+  const note = last.lines.splice(index).join(' ');
+  if (last.lines.length === 0) {
+    section.blocks.pop();
+  }
+  return note;
+}
+
+/**
+ * Parse the marketingStrategy payload into a structured model
+ * @param {Object|string|null} marketingStrategy - marketingStrategy from the complete-workflow result
+ * @returns {ParsedStrategy}
+ */
+export function parseMarketingStrategy(marketingStrategy) {
+  const unparsed = [];
+  const parsed = {
+    observations: null,
+    keyTakeaways: null,
+    sampleScript: null,
+    technicalSpecifications: null,
+    contentThemes: null,
+    hashtagStrategy: null,
+    postingFrequency: null,
+    closingNote: null,
+    unparsed
+  };
+
+  let fields = marketingStrategy;
+  if (typeof fields === 'string') {
+    try {
+      fields = JSON.parse(fields);
+    } catch (error) {
+      fields = { rawContent: fields };
+    }
+  }
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    if (fields) {
+      unparsed.push({ field: 'marketingStrategy', reason: 'Expected an object' });
+    }
+    return parsed;
+  }
+
+  const sources = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+
+    if (field === 'rawContent') {
+      if (typeof value !== 'string') {
+        unparsed.push({ field, reason: `Unsupported ${Array.isArray(value) ? 'array' : typeof value} value` });
+      }
+      continue;
+    }
+    if (!SECTION_KEYS.includes(field)) {
+      unparsed.push({ field, reason: 'Unknown field' });
+      continue;
+    }
+
+    if (Array.isArray(value) && field !== 'contentThemes') {
+      // Content themes report their own non-text items
+      const items = value.filter(item => typeof item === 'string');
+      if (items.length < value.length) {
+        unparsed.push({ field, reason: `${value.length - items.length} non-text item(s) ignored` });
+      }
+      // The script's labels are parsed across lines, so its items are read as lines of text
+      sources[field] = field === 'sampleScript' ? items.join('\n') : items;
+      continue;
+    }
+    if (typeof value !== 'string' && !Array.isArray(value)) {
+      unparsed.push({ field, reason: `Unsupported ${typeof value} value` });
+      continue;
+    }
+    sources[field] = value;
+  }
+
+  // Older payloads put the whole strategy in rawContent; fill in whatever isn't set separately
+  if (typeof fields.rawContent === 'string' && fields.rawContent.trim()) {
+    const rawSections = splitRawContent(fields.rawContent);
+    if (Object.keys(rawSections).length === 0) {
+      sources.observations = sources.observations || fields.rawContent;
+    } else {
+      for (const [key, text] of Object.entries(rawSections)) {
+        sources[key] = sources[key] || text;
+      }
+    }
+  }
+
+  for (const [key, value] of Object.entries(sources)) {
+    switch (key) {
+      case 'sampleScript':
+        parsed.sampleScript = parseSampleScript(value, unparsed);
+        break;
+      case 'contentThemes':
+        parsed.contentThemes = parseContentThemes(value, unparsed);
+        break;
+      case 'hashtagStrategy':
+        parsed.hashtagStrategy = Array.isArray(value) ? parseHashtagList(value) : parseHashtagStrategy(value);
+        break;
+      default:
+        parsed[key] = Array.isArray(value) ? parseTextList(value) : parseTextSection(value, key);
+    }
+
+    if (!parsed[key]) {
+      unparsed.push({ field: key, reason: 'No content found' });
+    }
+  }
+
+  parsed.closingNote = extractClosingNote(parsed.postingFrequency);
+  if (parsed.postingFrequency && parsed.postingFrequency.blocks.length === 0) {
+    parsed.postingFrequency = null;
+  }
+
+  return parsed;
+}
@@ -0,0 +1,144 @@
+/**
+ * @typedef {Object} TrendDiff
+ * @property {{added: Array<string>, dropped: Array<string>}} hashtags - Hashtags that appeared in or disappeared from the hashtag strategy
+ * @property {Array<string>} newThemes - Content themes that weren't in the previous report
+ * @property {{added: Array<string>, dropped: Array<string>}} takeaways - Key takeaways that changed
+ * @property {Array<{title: string, url: string|null}>} newVideos - Analyzed videos that weren't in the previous report
+ * @property {boolean} hasChanges - Whether any of the above is non-empty
+ */
+
+/**
+ * Reduce a line of text to what matters for comparing it between reports
+ * @param {string} text - Hashtag, theme or takeaway
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize a hashtag, so `#Coffee` and `coffee` are the same tag
+ * @param {string} tag - Hashtag as the strategy listed it
+ * @returns {string}
+ */
+function normalizeHashtag(tag) {
+  return normalize(tag).replace(/^#+/, '');
+}
+
+/**
+ * List the items of `current` that aren't in `previous`
+ * @param {Array<string>} current - Items in this report, as shown to the user
+ * @param {Array<string>} previous - Items in the previous report
+ * @param {Function} [key] - Turns an item into the value it is compared by
+ * @returns {Array<string>} - New items in their original order and spelling, without duplicates
+ */
+function added(current, previous, key = normalize) {
+  const seen = new Set(previous.map(key));
+  return current.filter(item => {
+    const itemKey = key(item);
+    if (seen.has(itemKey)) {
+      return false;
+    }
+    seen.add(itemKey);
+    return true;
+  });
+}
+
+/**
+ * Collect every hashtag from a parsed strategy, across all groups
+ * @param {Object} strategy - Parsed strategy, from parseMarketingStrategy
+ * @returns {Array<string>}
+ */
+function hashtagsOf(strategy) {
+  return strategy?.hashtagStrategy?.groups.flatMap(group => group.tags) ?? [];
+}
+
+/**
+ * Collect the key takeaways from a parsed strategy, one per list item or line
+ * @param {Object} strategy - Parsed strategy, from parseMarketingStrategy
+ * @returns {Array<string>}
+ */
+function takeawaysOf(strategy) {
+  return strategy?.keyTakeaways?.blocks.flatMap(block => block.items ?? block.lines) ?? [];
+}
+
+/**
+ * Keep a URL only if it is an absolute http(s) URL
+ * @param {string|null} value - URL from the workflow result
+ * @returns {string|null} - The URL, or null if it is missing or not a web URL
+ */
+function webUrlOf(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:' ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the analyzed videos from a complete-workflow result
+ * Videos are matched by `id`, then by URL. Older results only carry
+ * `videosCount`, so they have no videos to compare. Only http(s) URLs are
+ * kept, since they end up as links in emails and channel messages.
+ * @param {Object} data - `data` of the complete-workflow result
+ * @returns {Array<{key: string, title: string, url: string|null}>}
+ */
+function videosOf(data) {
+  if (!Array.isArray(data?.videos)) {
+    return [];
+  }
+
+  return data.videos
+    .map(video => {
+      const rawUrl = video?.url || video?.webVideoUrl || null;
+      const key = video?.id ?? rawUrl;
+      return key && { key: String(key), title: video.title || video.description || rawUrl || String(key), url: webUrlOf(rawUrl) };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Compare an analysis with the one in the user's previous report
+ * @param {{strategy: Object, data: Object}} current - This report's parsed strategy and complete-workflow data
+ * @param {{strategy: Object, data: Object}} previous - The previous report's parsed strategy and data
+ * @returns {TrendDiff}
+ */
+export function diffTrends(current, previous) {
+  const currentHashtags = hashtagsOf(current.strategy);
+  const previousHashtags = hashtagsOf(previous.strategy);
+  const currentTakeaways = takeawaysOf(current.strategy);
+  const previousTakeaways = takeawaysOf(previous.strategy);
+  const previousVideoKeys = new Set(videosOf(previous.data).map(video => video.key));
+
+  const diff = {
+    hashtags: {
+      added: added(currentHashtags, previousHashtags, normalizeHashtag),
+      dropped: added(previousHashtags, currentHashtags, normalizeHashtag)
+    },
+    newThemes: added(current.strategy?.contentThemes ?? [], previous.strategy?.contentThemes ?? []),
+    takeaways: {
+      added: added(currentTakeaways, previousTakeaways),
+      dropped: added(previousTakeaways, currentTakeaways)
+    },
+    // Without a video list in the previous result, every video would look new
+    newVideos: Array.isArray(previous.data?.videos)
+      ? videosOf(current.data)
+        .filter(video => !previousVideoKeys.has(video.key))
+        .map(({ title, url }) => ({ title, url }))
+      : []
+  };
+
+  diff.hasChanges = [
+    diff.hashtags.added,
+    diff.hashtags.dropped,
+    diff.newThemes,
+    diff.takeaways.added,
+    diff.takeaways.dropped,
+    diff.newVideos
+  ].some(list => list.length > 0);
+  return diff;
+}
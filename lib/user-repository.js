@@ -0,0 +1,744 @@
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Tables the job reads or writes, checked by the health check
+const TABLES = ['users', 'workflow_runs', 'workflow_dead_letters', 'workflow_leases', 'scheduler_runs', 'email_suppressions', 'plans', 'delivery_channels'];
+
+/**
+ * Create the data access layer for users, plans, delivery channels, workflow runs, dead letters, leases,
+ * run summaries and email suppressions
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options - Repository options
+ * @param {string} options.leaseOwner - Identifies this invocation as the owner of the leases it takes
+ * @param {number} options.leaseTtlMs - How long a lease is held before it expires
+ * @param {Object} options.logger - Logger, from createLogger
+ * @returns {Object} - Repository methods
+ */
+export function createUserRepository(supabase, { leaseOwner, leaseTtlMs, logger }) {
+  /**
+   * Fetch all users who get scheduled reports: those with email notifications
+   * turned on, and those with an enabled delivery channel
+   * @returns {Promise<Array<Object>>} - User objects
+   */
+  async function getOptedInUsers() {
+    const { data, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('email_notifications', true);
+
+    if (error) {
+      throw error;
+    }
+
+    const { data: channels, error: channelsError } = await supabase
+      .from('delivery_channels')
+      .select('user_id')
+      .eq('enabled', true);
+
+    if (channelsError) {
+      throw channelsError;
+    }
+
+    const loadedIds = new Set(data.map(user => user.id));
+    const channelOnlyIds = [...new Set(channels.map(channel => channel.user_id))].filter(id => !loadedIds.has(id));
+    if (channelOnlyIds.length === 0) {
+      return data;
+    }
+
+    const { data: channelOnlyUsers, error: usersError } = await supabase
+      .from('users')
+      .select('*')
+      .in('id', channelOnlyIds);
+
+    if (usersError) {
+      throw usersError;
+    }
+
+    return [...data, ...channelOnlyUsers];
+  }
+
+  /**
+   * Fetch the current state of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - User object, or null if the user no longer exists
+   */
+  async function getUserById(userId) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a single user by ID or email address
+   * @param {string} reference - User ID or email address
+   * @returns {Promise<Object>} - User object
+   * @throws {Error} - If no user matches
+   */
+  async function findUser(reference) {
+    const column = UUID_PATTERN.test(reference) ? 'id' : 'email';
+    const { data, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq(column, reference)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!data) {
+      throw new Error(`No user found with ${column} '${reference}'`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update the last workflow run timestamp for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async function updateLastRunTimestamp(userId) {
+    const { error } = await supabase
+      .from('users')
+      .update({ last_workflow_run: new Date().toISOString() })
+      .eq('id', userId);
+
+    if (error) {
+      logger.error('Error updating last_workflow_run', { userId, error });
+      return;
+    }
+
+    logger.debug('Updated last_workflow_run', { userId });
+  }
+
+  /**
+   * Flag that a user has analysis results waiting to be emailed
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async function markAnalysisReady(userId) {
+    const { error } = await supabase
+      .from('users')
+      .update({ analysis_ready_for_email: true })
+      .eq('id', userId);
+
+    if (error) {
+      logger.error('Error setting analysis_ready_for_email', { userId, error });
+    }
+  }
+
+  /**
+   * Flag that each of a user's enabled delivery channels has results waiting
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async function markChannelsReady(userId) {
+    const { error } = await supabase
+      .from('delivery_channels')
+      .update({ analysis_ready: true })
+      .eq('user_id', userId)
+      .eq('enabled', true);
+
+    if (error) {
+      logger.error('Error setting analysis_ready on delivery channels', { userId, error });
+    }
+  }
+
+  /**
+   * Fetch a user's enabled delivery channels that have results waiting
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Query options
+   * @param {boolean} [options.includeDelivered] - Also return channels that are up to date, for resends
+   * @returns {Promise<Array<Object>>} - delivery_channels rows
+   */
+  async function getDeliveryChannels(userId, { includeDelivered = false } = {}) {
+    let query = supabase
+      .from('delivery_channels')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('enabled', true);
+
+    if (!includeDelivered) {
+      query = query.eq('analysis_ready', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Update a delivery channel's delivery state
+   * @param {string} channelId - Delivery channel ID
+   * @param {Object} fields - Columns to update
+   * @returns {Promise<void>}
+   */
+  async function updateDeliveryChannel(channelId, fields) {
+    const { error } = await supabase
+      .from('delivery_channels')
+      .update(fields)
+      .eq('id', channelId);
+
+    if (error) {
+      logger.error('Error updating delivery channel', { channelId, error });
+    }
+  }
+
+  /**
+   * Record that a user's email was sent and reset their email-ready flag
+   * @param {string} userId - User ID
+   * @param {string} sentAt - When the email was sent
+   * @returns {Promise<void>}
+   */
+  async function markEmailSent(userId, sentAt) {
+    const { error } = await supabase
+      .from('users')
+      .update({
+        last_email_sent: sentAt,
+        analysis_ready_for_email: false // Reset the flag
+      })
+      .eq('id', userId);
+
+    if (error) {
+      logger.error('Error recording sent email', { userId, error });
+    }
+  }
+
+  /**
+   * Record that a user's email slot was handled without sending an email,
+   * e.g. because the address is suppressed or they only get reports on other channels
+   * @param {string} userId - User ID
+   * @param {string} servedAt - ISO timestamp
+   * @returns {Promise<void>}
+   */
+  async function markEmailSlotServed(userId, servedAt) {
+    const { error } = await supabase
+      .from('users')
+      .update({ last_email_sent: servedAt })
+      .eq('id', userId);
+
+    if (error) {
+      logger.error('Error recording served email slot', { userId, error });
+    }
+  }
+
+  /**
+   * Turn a user's scheduled emails on or off, e.g. from an unsubscribe link
+   * @param {string} userId - User ID
+   * @param {boolean} enabled - New value of email_notifications
+   * @returns {Promise<Object|null>} - The updated user, or null if the user no longer exists
+   */
+  async function setEmailNotifications(userId, enabled) {
+    const { data, error } = await supabase
+      .from('users')
+      .update({ email_notifications: enabled })
+      .eq('id', userId)
+      .select('id, email, email_notifications')
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Add an address to the suppression list, keeping the first reason it was suppressed for
+   * @param {Object} suppression - Suppression details
+   * @param {string} suppression.email - Email address
+   * @param {string} suppression.reason - Why it is suppressed, e.g. 'hard_bounce' or 'complaint'
+   * @param {string} suppression.provider - Mail provider that reported it
+   * @param {string|null} suppression.eventAt - When the provider saw the event
+   * @param {Object} suppression.details - Provider details worth keeping, e.g. the bounce message
+   * @returns {Promise<void>}
+   */
+  async function addEmailSuppression({ email, reason, provider, eventAt, details }) {
+    const { error } = await supabase
+      .from('email_suppressions')
+      .upsert({
+        email: email.trim().toLowerCase(),
+        reason,
+        provider,
+        event_at: eventAt,
+        details
+      }, { onConflict: 'email', ignoreDuplicates: true });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find which of a set of addresses are on the suppression list
+   * @param {Array<string>} emails - Email addresses
+   * @returns {Promise<Map<string, string>>} - Suppressed addresses, lowercased, with their reason
+   */
+  async function getSuppressedEmails(emails) {
+    const normalized = [...new Set(emails.filter(Boolean).map(email => email.trim().toLowerCase()))];
+    if (normalized.length === 0) {
+      return new Map();
+    }
+
+    const { data, error } = await supabase
+      .from('email_suppressions')
+      .select('email, reason')
+      .in('email', normalized);
+
+    if (error) {
+      throw error;
+    }
+
+    return new Map(data.map(row => [row.email, row.reason]));
+  }
+
+  /**
+   * Fetch every plan with its workflow limits and quota
+   * @returns {Promise<Map<string, Object>>} - plans rows keyed by ID
+   */
+  async function getPlans() {
+    const { data, error } = await supabase
+      .from('plans')
+      .select('*');
+
+    if (error) {
+      throw error;
+    }
+
+    return new Map(data.map(plan => [plan.id, plan]));
+  }
+
+  /**
+   * Count a user's successful workflow runs since a time, for quotas
+   * Failed and skipped runs don't count against the quota.
+   * @param {string} userId - User ID
+   * @param {Date} since - Start of the quota period
+   * @returns {Promise<number>}
+   */
+  async function countSucceededRunsSince(userId, since) {
+    const { count, error } = await supabase
+      .from('workflow_runs')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('status', 'succeeded')
+      .gte('started_at', since.toISOString());
+
+    if (error) {
+      throw error;
+    }
+
+    return count;
+  }
+
+  /**
+   * Record the start of a workflow run in the run history
+   * @param {string} userId - User ID
+   * @param {Date} scheduledFor - The email slot this run prepares
+   * @param {Object} [details] - What the run is allowed to use, and why it runs
+   * @param {string} [details.plan] - The user's plan when the run started
+   * @param {Object} [details.options] - Workflow options sent to the backend
+   * @param {string} [details.refreshReason] - Why the results were stale, for runs started in the email hour
+   * @returns {Promise<string>} - ID of the new workflow_runs row
+   */
+  async function createWorkflowRun(userId, scheduledFor, { plan = null, options = null, refreshReason = null } = {}) {
+    const { data, error } = await supabase
+      .from('workflow_runs')
+      .insert({
+        user_id: userId,
+        scheduled_for: scheduledFor.toISOString(),
+        started_at: new Date().toISOString(),
+        status: 'running',
+        plan,
+        workflow_options: options,
+        refresh_reason: refreshReason
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data.id;
+  }
+
+  /**
+   * Update a workflow run in the run history
+   * @param {string} runId - Workflow run ID
+   * @param {Object} fields - Columns to update
+   * @returns {Promise<void>}
+   */
+  async function updateWorkflowRun(runId, fields) {
+    const { error } = await supabase
+      .from('workflow_runs')
+      .update(fields)
+      .eq('id', runId);
+
+    if (error) {
+      logger.error('Error updating workflow run', { workflowRunId: runId, error });
+    }
+  }
+
+  /**
+   * Get the latest workflow run that prepared a given email slot
+   * @param {string} userId - User ID
+   * @param {Date} scheduledFor - The email slot
+   * @returns {Promise<Object|null>} - The workflow_runs row, or null if the slot was never analyzed
+   */
+  async function getLatestRunForSlot(userId, scheduledFor) {
+    const { data, error } = await supabase
+      .from('workflow_runs')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('scheduled_for', scheduledFor.toISOString())
+      .order('started_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the most recent successful run whose results have not been emailed yet
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Query options
+   * @param {boolean} [options.includeSent] - Also consider runs that were already emailed, for resends
+   * @returns {Promise<Object|null>} - The workflow_runs row, or null if there is none
+   */
+  async function getLatestRunForEmail(userId, { includeSent = false } = {}) {
+    let query = supabase
+      .from('workflow_runs')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('status', 'succeeded');
+
+    if (!includeSent) {
+      query = query.eq('email_status', 'pending');
+    }
+
+    const { data, error } = await query
+      .order('scheduled_for', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the run behind the last report the user received before a slot
+   * A report counts as received if it was emailed or posted to one of the
+   * user's delivery channels, so users who only get channel posts still see
+   * what changed. Failing to read it only loses that section, so errors are
+   * logged rather than thrown.
+   * @param {string} userId - User ID
+   * @param {string|Date} before - Slot of the report being sent
+   * @returns {Promise<Object|null>} - The workflow_runs row, or null if there is none
+   */
+  async function getLastReportedRun(userId, before) {
+    const beforeIso = new Date(before).toISOString();
+    const { data: emailed, error } = await supabase
+      .from('workflow_runs')
+      .select('id, scheduled_for, result')
+      .eq('user_id', userId)
+      .eq('email_status', 'sent')
+      .lt('scheduled_for', beforeIso)
+      .order('scheduled_for', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error reading previous report', { userId, error });
+      return null;
+    }
+
+    const { data: channels, error: channelsError } = await supabase
+      .from('delivery_channels')
+      .select('last_delivered_run_id')
+      .eq('user_id', userId);
+
+    if (channelsError) {
+      logger.error('Error reading previous channel reports', { userId, error: channelsError });
+      return emailed;
+    }
+
+    const deliveredRunIds = [...new Set(channels.map(channel => channel.last_delivered_run_id).filter(Boolean))];
+    if (deliveredRunIds.length === 0) {
+      return emailed;
+    }
+
+    const { data: delivered, error: deliveredError } = await supabase
+      .from('workflow_runs')
+      .select('id, scheduled_for, result')
+      .eq('user_id', userId)
+      .in('id', deliveredRunIds)
+      .lt('scheduled_for', beforeIso)
+      .order('scheduled_for', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (deliveredError) {
+      logger.error('Error reading previous channel reports', { userId, error: deliveredError });
+      return emailed;
+    }
+
+    if (!emailed || (delivered && new Date(delivered.scheduled_for) > new Date(emailed.scheduled_for))) {
+      return delivered;
+    }
+    return emailed;
+  }
+
+  /**
+   * Add a user whose workflow still failed after retries to the dead-letter queue
+   * @param {string} userId - User ID
+   * @param {Date} scheduledFor - The email slot the failed run was preparing
+   * @param {string} lastError - Message of the final error
+   * @param {Object} errorDetails - JSON-serializable details of the final error
+   * @returns {Promise<void>}
+   */
+  async function addToDeadLetterQueue(userId, scheduledFor, lastError, errorDetails) {
+    const now = new Date().toISOString();
+    const { data: existing, error: selectError } = await supabase
+      .from('workflow_dead_letters')
+      .select('id, attempts')
+      .eq('user_id', userId)
+      .eq('scheduled_for', scheduledFor.toISOString())
+      .maybeSingle();
+
+    if (selectError) {
+      logger.error('Error reading dead-letter entry', { userId, error: selectError });
+      return;
+    }
+
+    const fields = {
+      status: 'pending',
+      last_error: lastError,
+      error_details: errorDetails,
+      updated_at: now
+    };
+
+    const { error } = existing
+      ? await supabase
+        .from('workflow_dead_letters')
+        .update({ ...fields, attempts: existing.attempts + 1 })
+        .eq('id', existing.id)
+      : await supabase
+        .from('workflow_dead_letters')
+        .insert({ ...fields, user_id: userId, scheduled_for: scheduledFor.toISOString(), attempts: 1 });
+
+    if (error) {
+      logger.error('Error writing dead-letter entry', { userId, error });
+    }
+  }
+
+  /**
+   * Expire dead-letter entries whose email slot has already arrived
+   * @param {Date} now - Current time
+   * @returns {Promise<void>}
+   */
+  async function expireDeadLetters(now) {
+    const { error } = await supabase
+      .from('workflow_dead_letters')
+      .update({ status: 'expired', updated_at: now.toISOString() })
+      .eq('status', 'pending')
+      .lte('scheduled_for', now.toISOString());
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get dead-letter entries that can still be retried before their email slot
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<Object>>} - Pending workflow_dead_letters rows
+   */
+  async function getRetryableDeadLetters(now) {
+    const { data, error } = await supabase
+      .from('workflow_dead_letters')
+      .select('*')
+      .eq('status', 'pending')
+      .gt('scheduled_for', now.toISOString());
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Mark a user's dead-letter entry for a slot as resolved
+   * @param {string} userId - User ID
+   * @param {Date} scheduledFor - The email slot that now has results
+   * @returns {Promise<void>}
+   */
+  async function resolveDeadLetter(userId, scheduledFor) {
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('workflow_dead_letters')
+      .update({ status: 'resolved', resolved_at: now, updated_at: now })
+      .eq('user_id', userId)
+      .eq('scheduled_for', scheduledFor.toISOString())
+      .in('status', ['pending', 'expired']);
+
+    if (error) {
+      logger.error('Error resolving dead-letter entry', { userId, error });
+    }
+  }
+
+  /**
+   * Claim a user's analysis or email step for this invocation
+   * The lease is taken atomically in the database and only succeeds if nobody
+   * else holds an unexpired lease for the same user and phase.
+   * @param {string} userId - User ID
+   * @param {'analysis'|'email'} phase - Step to claim
+   * @returns {Promise<boolean>} - True if this invocation now holds the lease
+   */
+  async function claimLease(userId, phase) {
+    const { data, error } = await supabase.rpc('claim_workflow_lease', {
+      p_user_id: userId,
+      p_phase: phase,
+      p_owner: leaseOwner,
+      p_ttl_seconds: Math.ceil(leaseTtlMs / 1000)
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return data === true;
+  }
+
+  /**
+   * Release a lease held by this invocation
+   * @param {string} userId - User ID
+   * @param {'analysis'|'email'} phase - Step to release
+   * @returns {Promise<void>}
+   */
+  async function releaseLease(userId, phase) {
+    const { error } = await supabase.rpc('release_workflow_lease', {
+      p_user_id: userId,
+      p_phase: phase,
+      p_owner: leaseOwner
+    });
+
+    if (error) {
+      // The lease simply expires after its TTL
+      logger.error('Error releasing lease', { userId, phase, error });
+    }
+  }
+
+  /**
+   * Store the summary of a finished scheduler run
+   * @param {Object} summary - Run summary, from createRunSummary().finish()
+   * @returns {Promise<void>}
+   */
+  async function saveRunSummary(summary) {
+    const { error } = await supabase
+      .from('scheduler_runs')
+      .insert({
+        id: summary.runId,
+        started_at: summary.startedAt,
+        finished_at: summary.finishedAt,
+        duration_ms: summary.durationMs,
+        status: summary.status,
+        error_message: summary.error,
+        users_considered: summary.usersConsidered,
+        analyses_succeeded: summary.analysis.succeeded,
+        analyses_failed: summary.analysis.failed,
+        analyses_skipped: summary.analysis.skipped,
+        analyses_deferred: summary.analysis.deferred,
+        emails_sent: summary.email.sent,
+        emails_failed: summary.email.failed,
+        emails_skipped: summary.email.skipped,
+        emails_deferred: summary.email.deferred,
+        emails_notice_sent: summary.email.notice_sent,
+        skip_reasons: summary.skipReasons,
+        channel_deliveries: summary.deliveries,
+        phase_durations_ms: summary.phaseDurationsMs,
+        failure_rate: summary.failureRate
+      });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check that the database is reachable with the configured key and that every table exists
+   * @returns {Promise<string>} - Number of opted-in users, for the health report
+   * @throws {Error} - Naming the first table that can't be read
+   */
+  async function checkHealth() {
+    for (const table of TABLES) {
+      const { error } = await supabase
+        .from(table)
+        .select('*', { count: 'exact', head: true });
+
+      if (error) {
+        throw new Error(`Cannot read table ${table}: ${error.message}`);
+      }
+    }
+
+    const { count, error } = await supabase
+      .from('users')
+      .select('*', { count: 'exact', head: true })
+      .eq('email_notifications', true);
+
+    if (error) {
+      throw error;
+    }
+
+    return `${count ?? 0} opted-in users`;
+  }
+
+  return {
+    getOptedInUsers,
+    getUserById,
+    findUser,
+    updateLastRunTimestamp,
+    markAnalysisReady,
+    markChannelsReady,
+    getDeliveryChannels,
+    updateDeliveryChannel,
+    markEmailSent,
+    markEmailSlotServed,
+    setEmailNotifications,
+    addEmailSuppression,
+    getSuppressedEmails,
+    getPlans,
+    countSucceededRunsSince,
+    createWorkflowRun,
+    updateWorkflowRun,
+    getLatestRunForEmail,
+    getLatestRunForSlot,
+    getLastReportedRun,
+    addToDeadLetterQueue,
+    expireDeadLetters,
+    getRetryableDeadLetters,
+    resolveDeadLetter,
+    claimLease,
+    releaseLease,
+    saveRunSummary,
+    checkHealth
+  };
+}
@@ -0,0 +1,82 @@
+const DEFAULT_ABORT_GRACE_MS = 30 * 1000;
+
+/**
+ * Process items with a bounded number of concurrent workers
+ * Each item gets its own timeout, enforced through an AbortSignal passed to
+ * the worker; a timed-out item only counts as failed once its worker has
+ * stopped, or the abort grace period has passed. Items that haven't started by the deadline are deferred rather
+ * than started late.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function called with (item, signal)
+ * @param {Object} options - Pool options
+ * @param {number} options.concurrency - Maximum number of items processed at once
+ * @param {number} options.itemTimeoutMs - Time allowed per item
+ * @param {number} options.deadline - Epoch milliseconds after which no new item is started
+ * @param {number} [options.abortGraceMs] - Time a timed-out worker is given to stop before its lane moves on
+ * @param {Function} [options.onError] - Called with (item, error) when an item fails or times out
+ * @returns {Promise<{completed: Array, failed: Array, deferred: Array}>} - Items grouped by outcome
+ */
+export async function runWorkerPool(items, worker, { concurrency, itemTimeoutMs, deadline, abortGraceMs = DEFAULT_ABORT_GRACE_MS, onError = () => {} }) {
+  const outcome = { completed: [], failed: [], deferred: [] };
+  let nextIndex = 0;
+
+  async function runItem(item) {
+    const controller = new AbortController();
+    const work = Promise.resolve().then(() => worker(item, controller.signal));
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Timed out after ${itemTimeoutMs}ms`);
+        error.retryable = true;
+        controller.abort(error);
+        reject(error);
+      }, itemTimeoutMs);
+    });
+
+    try {
+      await Promise.race([work, timeout]);
+      outcome.completed.push(item);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        await settleWithin(work, abortGraceMs);
+      }
+      onError(item, error);
+      outcome.failed.push(item);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function lane() {
+    while (nextIndex < items.length) {
+      const item = items[nextIndex++];
+      if (Date.now() >= deadline) {
+        outcome.deferred.push(item);
+        continue;
+      }
+      await runItem(item);
+    }
+  }
+
+  const laneCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: laneCount }, lane));
+  return outcome;
+}
+
+/**
+ * Wait for a promise to settle, giving up after a grace period
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} graceMs - Maximum time to wait
+ * @returns {Promise<void>} - Resolves when the promise settles or the grace period ends
+ */
+async function settleWithin(promise, graceMs) {
+  let timer;
+  const grace = new Promise(resolve => {
+    timer = setTimeout(resolve, graceMs);
+  });
+  try {
+    await Promise.race([promise.then(() => {}, () => {}), grace]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
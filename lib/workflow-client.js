@@ -0,0 +1,220 @@
+import axios from 'axios';
+import { resolveLocale } from './i18n.js';
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cuts the wait short, rejecting with the abort reason
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Check whether a failed workflow API call is worth retrying
+ * Timeouts, network errors, 5xx and 429 responses are retried; other 4xx
+ * responses are validation errors that would fail again.
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error.response) {
+    const status = error.response.status;
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  // No response at all: timeout, connection reset, DNS failure, ...
+  return Boolean(error.request);
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ * @param {string|undefined} header - Header value, either seconds or an HTTP date
+ * @returns {number|null} - Delay in milliseconds, or null if the header is missing or invalid
+ */
+export function parseRetryAfter(header) {
+  if (!header) {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Extract the details of a failed workflow call worth keeping in the run history
+ * @param {Error} error - Error thrown by runWorkflow
+ * @returns {Object} - JSON-serializable error details
+ */
+export function describeWorkflowError(error) {
+  const attempts = error.attempts ?? 1;
+  // Read back by the email hour's refresh, which doesn't repeat validation errors
+  const retryable = Boolean(error.retryable);
+  if (error.response) {
+    return { status: error.response.status, data: error.response.data ?? null, attempts, retryable };
+  }
+  if (error.request) {
+    return { code: error.code || null, reason: 'No response received from server', attempts, retryable };
+  }
+  return { reason: error.message, attempts, retryable };
+}
+
+/**
+ * Create a client for the backend's complete-workflow API
+ * @param {Object} options - Client options
+ * @param {string} options.baseUrl - Backend base URL
+ * @param {number} options.timeoutMs - Time allowed per request
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.retryBaseDelayMs - Backoff before the first retry
+ * @param {number} options.retryMaxDelayMs - Longest backoff, and longest Retry-After honoured
+ * @param {Object} [options.http] - Axios-compatible HTTP client, created from baseUrl if omitted
+ * @param {Function} [options.wait] - Waits between retries, called with (ms, signal)
+ * @param {Object} options.logger - Logger used when a call doesn't pass its own
+ * @returns {{runWorkflow: Function, checkHealth: Function}}
+ */
+export function createWorkflowClient({
+  baseUrl,
+  timeoutMs,
+  maxRetries,
+  retryBaseDelayMs,
+  retryMaxDelayMs,
+  http = axios.create({
+    baseURL: baseUrl,
+    timeout: timeoutMs,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  }),
+  wait = sleep,
+  logger: clientLogger
+}) {
+  /**
+   * Call an API operation, retrying retryable failures with exponential backoff and full jitter
+   * @param {Function} operation - Async function performing the request
+   * @param {Object} logger - Logger for retry messages
+   * @param {AbortSignal} [signal] - Stops further attempts once aborted
+   * @returns {Promise<*>} - Result of the operation
+   * @throws {Error} - The last error, with `attempts` and `retryable` set
+   */
+  async function callWithRetry(operation, logger, signal) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        error.attempts = attempt;
+        error.retryable = !signal?.aborted && isRetryableError(error);
+
+        if (!error.retryable || attempt > maxRetries) {
+          throw error;
+        }
+
+        const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+        if (retryAfterMs !== null && retryAfterMs > retryMaxDelayMs) {
+          // The server wants us to back off longer than we're willing to wait in this tick
+          logger.warn('complete-workflow asked to retry later than this tick allows, giving up', { attempt, retryAfterMs });
+          throw error;
+        }
+
+        const backoffMs = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (attempt - 1));
+        const delayMs = retryAfterMs ?? Math.round(Math.random() * backoffMs);
+        logger.warn('complete-workflow failed, retrying', { attempt, maxAttempts: maxRetries + 1, delayMs, error });
+        await wait(delayMs, signal);
+      }
+    }
+  }
+
+  /**
+   * Run the complete workflow for a user
+   * @param {Object} user - User object
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Cancels the API call and any pending retries
+   * @param {string} [options.correlationId] - Sent as X-Correlation-Id so backend logs can be matched to this user's run
+   * @param {Object} [options.logger] - Logger carrying the user's context
+   * @param {import('./workflow-options.js').WorkflowOptions} [options.workflowOptions] - Depth, region and excluded topics of the analysis;
+   *   the backend's own defaults apply to anything left out
+   * @returns {Promise<Object|null>} - Workflow results, or null if the user was skipped
+   * @throws {Error} - If the workflow API call fails
+   */
+  async function runWorkflow(user, { signal, correlationId, logger = clientLogger, workflowOptions = {} } = {}) {
+    // Skip if no business description
+    if (!user.business_description) {
+      logger.info('Skipping workflow - no business description');
+      return null;
+    }
+
+    // Use auth_id instead of id to properly identify the user
+    // The backend expects userId to be the auth_id from Supabase Auth
+    const userId = user.auth_id;
+
+    if (!userId) {
+      logger.error('Skipping workflow - user has no auth_id');
+      throw new Error('User auth_id is required for workflow execution');
+    }
+
+    logger.info('Calling complete-workflow', { endpoint: `${baseUrl}/api/complete-workflow` });
+
+    try {
+      const response = await callWithRetry(
+        () => http.post('/api/complete-workflow', {
+          businessDescription: user.business_description,
+          userId: userId,
+          videosPerQuery: workflowOptions.videosPerQuery ?? 3, // Default to 3 videos per query
+          ...(workflowOptions.queryCount && { queryCount: workflowOptions.queryCount }),
+          ...(workflowOptions.region && { region: workflowOptions.region }),
+          ...(workflowOptions.excludedTopics?.length > 0 && { excludedTopics: workflowOptions.excludedTopics }),
+          language: resolveLocale(user.locale).language // So the strategy is written in the email's language
+        }, {
+          signal,
+          ...(correlationId && { headers: { 'X-Correlation-Id': correlationId } })
+        }),
+        logger,
+        signal
+      );
+
+      logger.info('complete-workflow succeeded');
+      return response.data;
+    } catch (error) {
+      // Leave the response body out - it can echo the business description
+      logger.error('complete-workflow failed', {
+        error,
+        attempts: error.attempts,
+        retryable: error.retryable,
+        noResponse: !error.response && Boolean(error.request)
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check that the backend is up and reachable, without running a workflow
+   * Any response below 500 counts, as the backend has no dedicated health endpoint.
+   * @param {AbortSignal} [signal] - Cancels the request
+   * @returns {Promise<string>} - Response status, for the health report
+   * @throws {Error} - If there is no response or the backend answers with a 5xx
+   */
+  async function checkHealth(signal) {
+    const response = await http.get('/', { signal, validateStatus: () => true });
+    if (response.status >= 500) {
+      throw new Error(`Backend at ${baseUrl} responded with status ${response.status}`);
+    }
+    return `HTTP ${response.status}`;
+  }
+
+  return { runWorkflow, checkHealth };
+}
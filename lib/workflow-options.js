@@ -0,0 +1,100 @@
+// Plan for users without one, or with one that no longer exists
+export const DEFAULT_PLAN_ID = 'free';
+
+// Keeps the backend prompt a reasonable size
+const MAX_EXCLUDED_TOPICS = 20;
+
+/**
+ * @typedef {Object} WorkflowOptions
+ * @property {number} videosPerQuery - Videos analyzed per search query
+ * @property {number} queryCount - Search queries generated from the business description
+ * @property {string|null} region - ISO 3166-1 alpha-2 country to focus on, e.g. 'CH'
+ * @property {Array<string>} excludedTopics - Topics the analysis should leave out
+ */
+
+/**
+ * Read a per-user limit, capped by the plan
+ * @param {*} value - User setting
+ * @param {number} planLimit - The plan's value, used as default and maximum
+ * @param {string} column - Column name, for warnings
+ * @param {Array<string>} warnings - Collects invalid settings
+ * @returns {number}
+ */
+function cappedSetting(value, planLimit, column, warnings) {
+  if (value === null || value === undefined) {
+    return planLimit;
+  }
+  if (!Number.isInteger(value) || value < 1) {
+    warnings.push(`Invalid ${column} '${value}'. Using the plan's ${planLimit}.`);
+    return planLimit;
+  }
+  if (value > planLimit) {
+    warnings.push(`${column} ${value} is above the plan's limit. Using ${planLimit}.`);
+    return planLimit;
+  }
+  return value;
+}
+
+/**
+ * Work out a user's plan and the options their workflow runs with
+ * Plans set the defaults and upper limits for videos per query and query
+ * count; users can lower them, set a region and exclude topics.
+ * @param {Object} user - User object
+ * @param {Map<string, Object>} plans - plans rows keyed by ID, from getPlans
+ * @returns {{plan: Object, options: WorkflowOptions, warnings: Array<string>}}
+ * @throws {Error} - If the default plan is missing from the plans table
+ */
+export function resolveWorkflowOptions(user, plans) {
+  const warnings = [];
+
+  let plan = plans.get(user.plan || DEFAULT_PLAN_ID);
+  if (!plan) {
+    warnings.push(`Unknown plan '${user.plan}'. Falling back to '${DEFAULT_PLAN_ID}'.`);
+    plan = plans.get(DEFAULT_PLAN_ID);
+  }
+  if (!plan) {
+    throw new Error(`Plan '${DEFAULT_PLAN_ID}' is missing from the plans table`);
+  }
+
+  let region = null;
+  if (user.region) {
+    if (typeof user.region === 'string' && /^[a-z]{2}$/i.test(user.region.trim())) {
+      region = user.region.trim().toUpperCase();
+    } else {
+      warnings.push(`Invalid region '${user.region}'. Expected a two-letter country code.`);
+    }
+  }
+
+  let excludedTopics = [];
+  for (const topic of Array.isArray(user.excluded_topics) ? user.excluded_topics : []) {
+    const trimmed = typeof topic === 'string' ? topic.trim() : '';
+    if (trimmed && !excludedTopics.some(existing => existing.toLowerCase() === trimmed.toLowerCase())) {
+      excludedTopics.push(trimmed);
+    }
+  }
+  if (excludedTopics.length > MAX_EXCLUDED_TOPICS) {
+    warnings.push(`${excludedTopics.length} excluded topics. Only the first ${MAX_EXCLUDED_TOPICS} are used.`);
+    excludedTopics = excludedTopics.slice(0, MAX_EXCLUDED_TOPICS);
+  }
+
+  return {
+    plan,
+    options: {
+      videosPerQuery: cappedSetting(user.videos_per_query, plan.videos_per_query, 'videos_per_query', warnings),
+      queryCount: cappedSetting(user.query_count, plan.query_count, 'query_count', warnings),
+      region,
+      excludedTopics
+    },
+    warnings
+  };
+}
+
+/**
+ * Get the start of the quota period a time falls in
+ * Quotas reset at the start of each calendar month, in UTC.
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+export function getQuotaPeriodStart(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { renderDiscordMessage, renderSlackMessage, renderWebhookPayload } from '../lib/channel-renderers.js';
+import { buildReport } from '../lib/report.js';
+
+const analysisResults = {
+  data: {
+    searchQueries: ['coffee zurich', 'latte art'],
+    videosCount: 6,
+    marketingStrategy: {
+      keyTakeaways: '- Use <b>bold</b> hooks\n- Keep it *short* & sweet',
+      hashtagStrategy: 'Primary (Niche):\n- #coffee'
+    }
+  }
+};
+
+const user = { full_name: 'Ann', timezone: 'Europe/Zurich' };
+const date = '2026-10-19T07:00:00Z';
+
+describe('renderSlackMessage', () => {
+  it('renders the report as Block Kit sections with escaped mrkdwn', () => {
+    const { text, blocks } = renderSlackMessage(buildReport(user, analysisResults, { date }));
+
+    assert.equal(text, 'Your TikTok Trend Analysis Results');
+    assert.equal(blocks[0].type, 'header');
+    assert.equal(blocks[1].elements[0].text, 'October 19, 2026 · Search Queries Analyzed: 2 · TikTok Videos Analyzed: 6');
+    const takeaways = blocks.find(block => block.text?.text.startsWith('*Key Trend Takeaways*'));
+    assert.equal(takeaways.text.text, '*Key Trend Takeaways*\n• Use &lt;b&gt;bold&lt;/b&gt; hooks\n• Keep it *short* &amp; sweet');
+  });
+
+  it('adds what changed since the previous report', () => {
+    const previous = { date: '2026-10-18T07:00:00Z', results: { data: { marketingStrategy: { keyTakeaways: '- Post daily' } } } };
+    const { blocks } = renderSlackMessage(buildReport(user, analysisResults, { date, previous }));
+
+    assert.match(blocks[2].text.text, /^\*What's New Since Your Last Report\*\nCompared with your report for October 18, 2026\./);
+    assert.match(blocks[2].text.text, /^− Post daily$/m);
+  });
+
+  it('falls back to a notice when there is no strategy', () => {
+    const { blocks } = renderSlackMessage(buildReport(user, { data: {} }, { date }));
+
+    assert.equal(blocks.at(-1).text.text, 'No detailed strategy information available at this time.');
+  });
+});
+
+describe('renderDiscordMessage', () => {
+  it('renders the report as one embed with a field per section', () => {
+    const { embeds: [embed] } = renderDiscordMessage(buildReport({ ...user, locale: 'de' }, analysisResults, { date }));
+
+    assert.equal(embed.timestamp, '2026-10-19T07:00:00.000Z');
+    assert.match(embed.description, /^19\. Oktober 2026/);
+    const takeaways = embed.fields.find(field => field.value.includes('hooks'));
+    assert.equal(takeaways.value, '• Use <b\\>bold</b\\> hooks\n• Keep it \\*short\\* & sweet');
+  });
+
+  it('keeps fields within Discord\'s limits', () => {
+    const long = { data: { marketingStrategy: { keyTakeaways: `- ${'a'.repeat(2000)}` } } };
+    const { embeds: [embed] } = renderDiscordMessage(buildReport(user, long, { date }));
+
+    assert.ok(embed.fields.every(field => field.value.length <= 1024));
+    assert.ok(embed.fields[0].value.endsWith('…'));
+  });
+});
+
+describe('renderWebhookPayload', () => {
+  it('sends the parsed report with its delivery context', () => {
+    const payload = renderWebhookPayload(buildReport(user, analysisResults, { date }), { userId: 'user-1', workflowRunId: 'run-1' });
+
+    assert.equal(payload.type, 'trend_report');
+    assert.equal(payload.userId, 'user-1');
+    assert.equal(payload.workflowRunId, 'run-1');
+    assert.equal(payload.reportDate, '2026-10-19T07:00:00.000Z');
+    assert.equal(payload.language, 'en');
+    assert.deepEqual(payload.stats, { queriesCount: 2, videosCount: 6 });
+    assert.deepEqual(payload.strategy.hashtagStrategy.groups[0].tags, ['#coffee']);
+    assert.equal(payload.strategy.hasContent, undefined);
+    assert.equal(payload.whatsNew, null);
+  });
+});
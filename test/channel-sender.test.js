@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createChannelSender, signWebhookBody } from '../lib/channel-sender.js';
+import { buildReport } from '../lib/report.js';
+import { createFakeWorkflowApi } from './helpers/fakes.js';
+
+const report = buildReport({ full_name: 'Ann' }, { data: { marketingStrategy: { keyTakeaways: '- Post daily' } } }, { date: '2026-10-19T07:00:00Z' });
+const context = { userId: 'user-1', workflowRunId: 'run-1' };
+
+describe('createChannelSender', () => {
+  it('posts Slack and Discord messages as JSON', async () => {
+    const http = createFakeWorkflowApi(() => 'ok');
+    const sender = createChannelSender({ timeoutMs: 5000, http });
+
+    await sender.deliver({ type: 'slack', url: 'https://hooks.slack.test/a' }, report, context);
+    await sender.deliver({ type: 'discord', url: 'https://discord.test/a' }, report, context);
+
+    assert.ok(Array.isArray(http.calls[0].body.blocks));
+    assert.ok(Array.isArray(http.calls[1].body.embeds));
+    assert.equal(http.calls[0].options.timeout, 5000);
+  });
+
+  it('signs webhook bodies so receivers can verify them', async () => {
+    const http = createFakeWorkflowApi(() => ({}));
+    const sender = createChannelSender({ http });
+
+    await sender.deliver({ type: 'webhook', url: 'https://example.test/hook', secret: 's3cret' }, report, context);
+
+    const [{ body, options: { headers } }] = http.calls;
+    assert.equal(typeof body, 'string');
+    assert.equal(JSON.parse(body).workflowRunId, 'run-1');
+    assert.match(headers['X-Lazy-Trends-Timestamp'], /^\d+$/);
+    assert.equal(headers['X-Lazy-Trends-Signature'], signWebhookBody(body, 's3cret', headers['X-Lazy-Trends-Timestamp']));
+    assert.notEqual(headers['X-Lazy-Trends-Signature'], signWebhookBody(body, 'other', headers['X-Lazy-Trends-Timestamp']));
+  });
+
+  it('rejects misconfigured channels without posting', async () => {
+    const http = createFakeWorkflowApi(() => ({}));
+    const sender = createChannelSender({ http });
+
+    await assert.rejects(sender.deliver({ type: 'slack', url: 'http://hooks.slack.test/a' }, report, context), /must be an https URL/);
+    await assert.rejects(sender.deliver({ type: 'webhook', url: 'https://example.test/hook' }, report, context), /no signing secret/);
+    await assert.rejects(sender.deliver({ type: 'teams', url: 'https://example.test/hook' }, report, context), /Unknown channel type 'teams'/);
+    assert.equal(http.calls.length, 0);
+  });
+});
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseCliOptions } from '../lib/cli.js';
+
+describe('parseCliOptions', () => {
+  it('runs the scheduler by default', () => {
+    assert.deepEqual(parseCliOptions([]), {
+      command: 'run',
+      dryRun: false,
+      at: null,
+      user: null,
+      phase: null,
+      preview: false,
+      help: false
+    });
+  });
+
+  it('passes --user through as given', () => {
+    const options = parseCliOptions(['--user', 'Ann@Example.com', '--phase', 'email', '--preview']);
+
+    assert.equal(options.user, 'Ann@Example.com');
+    assert.equal(options.phase, 'email');
+    assert.equal(options.preview, true);
+  });
+
+  it('reads --at as a time', () => {
+    assert.equal(parseCliOptions(['--at', '2026-10-19T08:00:00Z']).at.toISOString(), '2026-10-19T08:00:00.000Z');
+  });
+
+  it('rejects an invalid --at time', () => {
+    assert.throws(() => parseCliOptions(['--at', 'tomorrow']), /Invalid --at time 'tomorrow'/);
+  });
+
+  it('rejects an unknown --phase', () => {
+    assert.throws(() => parseCliOptions(['--phase', 'render']), /Invalid --phase 'render'. Use 'analysis' or 'email'./);
+  });
+
+  it('accepts the healthcheck and serve commands', () => {
+    assert.equal(parseCliOptions(['healthcheck']).command, 'healthcheck');
+    assert.equal(parseCliOptions(['serve']).command, 'serve');
+  });
+
+  it('rejects an unknown command or extra arguments', () => {
+    assert.throws(() => parseCliOptions(['migrate']), /Unknown command 'migrate'/);
+    assert.throws(() => parseCliOptions(['serve', 'now']), /Unknown command 'serve now'/);
+  });
+
+  it('rejects an unknown option', () => {
+    assert.throws(() => parseCliOptions(['--force']), { code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION' });
+  });
+});
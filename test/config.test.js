@@ -0,0 +1,133 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadConfig, normalizeApiBaseUrl } from '../lib/config.js';
+
+const requiredEnv = {
+  SUPABASE_URL: 'https://project.supabase.co',
+  SUPABASE_SERVICE_ROLE_KEY: 'service-key',
+  BREVO_API_KEY: 'brevo-key',
+  PUBLIC_BASE_URL: 'https://email.lazy-trends.com',
+  EMAIL_LINK_SECRET: 'a'.repeat(32)
+};
+
+/**
+ * Load a config and return the problems it was rejected with
+ * @param {Object} env - Environment variables
+ * @param {Object} [options] - Options for loadConfig
+ * @returns {Array<string>}
+ */
+function problemsFor(env, options) {
+  try {
+    loadConfig(env, options);
+  } catch (error) {
+    return error.problems;
+  }
+  assert.fail('Expected the configuration to be rejected');
+}
+
+describe('loadConfig', () => {
+  it('applies defaults when only the required variables are set', () => {
+    const config = loadConfig(requiredEnv);
+
+    assert.equal(config.supabaseUrl, 'https://project.supabase.co');
+    assert.equal(config.apiBaseUrl, 'http://localhost:3001');
+    assert.equal(config.mailTransport, 'brevo');
+    assert.equal(config.scheduleGranularityMinutes, 15);
+    assert.equal(config.leaseTtlMs, config.userTimeoutMs + 5 * 60 * 1000);
+    assert.equal(config.tickBudgetMs, 10 * 60 * 1000);
+    assert.equal(config.emailPhaseReserveMs, 5 * 60 * 1000);
+    assert.equal(config.alertWebhookUrl, null);
+  });
+
+  it('treats empty variables as unset', () => {
+    assert.equal(loadConfig({ ...requiredEnv, WORKER_CONCURRENCY: '', ALERT_EMAIL: ' ' }).workerConcurrency, 3);
+  });
+
+  it('reports every missing and invalid variable at once', () => {
+    assert.deepEqual(problemsFor({
+      WORKER_CONCURRENCY: 'three',
+      CATCHUP_GRACE_HOURS: '-1',
+      API_BASE_URL: 'localhost:3001',
+      EMAIL_SENDER: 'noreply',
+      LOG_LEVEL: 'verbose'
+    }), [
+      "API_BASE_URL must be an http or https URL, got 'localhost:3001'",
+      "EMAIL_SENDER must be an email address, got 'noreply'",
+      "LOG_LEVEL must be one of debug, info, warn, error, got 'verbose'",
+      'CATCHUP_GRACE_HOURS must be at least 0, got -1',
+      "WORKER_CONCURRENCY must be a whole number, got 'three'",
+      'SUPABASE_URL is required',
+      'SUPABASE_SERVICE_ROLE_KEY is required',
+      'BREVO_API_KEY is required when MAIL_TRANSPORT is brevo',
+      'PUBLIC_BASE_URL is required when MAIL_TRANSPORT is brevo',
+      'EMAIL_LINK_SECRET is required when MAIL_TRANSPORT is brevo'
+    ]);
+  });
+
+  it('only requires the link settings when emails are sent or links are served', () => {
+    const { PUBLIC_BASE_URL, EMAIL_LINK_SECRET, ...withoutLinks } = requiredEnv;
+
+    assert.equal(loadConfig(withoutLinks, { sendsEmail: false }).emailLinkSecret, null);
+    assert.equal(loadConfig(withoutLinks, { command: 'healthcheck' }).publicBaseUrl, null);
+    assert.equal(loadConfig({ ...withoutLinks, MAIL_TRANSPORT: 'file' }).emailLinkSecret, null);
+    assert.deepEqual(problemsFor({ ...withoutLinks, MAIL_TRANSPORT: 'console' }, { command: 'serve' }), [
+      'PUBLIC_BASE_URL is required to serve',
+      'EMAIL_LINK_SECRET is required to serve'
+    ]);
+  });
+
+  it('requires the settings of the selected mail transport', () => {
+    const { BREVO_API_KEY, ...withoutBrevo } = requiredEnv;
+
+    assert.deepEqual(problemsFor({ ...withoutBrevo, MAIL_TRANSPORT: 'smtp' }), ['SMTP_HOST is required when MAIL_TRANSPORT is smtp']);
+    assert.equal(loadConfig({ ...withoutBrevo, MAIL_TRANSPORT: 'File' }).mailTransport, 'file');
+
+    const smtp = loadConfig({ ...withoutBrevo, MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'smtp.test', SMTP_PORT: '465', SMTP_SECURE: 'true', SMTP_USER: 'mailer', SMTP_PASS: 'secret' });
+    assert.deepEqual(
+      [smtp.smtpHost, smtp.smtpPort, smtp.smtpSecure, smtp.smtpUser, smtp.smtpPass],
+      ['smtp.test', 465, true, 'mailer', 'secret']
+    );
+  });
+
+  it('fits the default time budget into the tick interval', () => {
+    const hourly = loadConfig({ ...requiredEnv, SCHEDULE_GRANULARITY_MINUTES: '60' });
+    assert.equal(hourly.tickBudgetMs, 40 * 60 * 1000);
+    assert.equal(hourly.emailPhaseReserveMs, 5 * 60 * 1000);
+
+    const everyFiveMinutes = loadConfig({ ...requiredEnv, SCHEDULE_GRANULARITY_MINUTES: '5' });
+    assert.equal(everyFiveMinutes.tickBudgetMs, 200 * 1000);
+    assert.equal(everyFiveMinutes.emailPhaseReserveMs, 100 * 1000);
+
+    assert.equal(loadConfig({ ...requiredEnv, TICK_BUDGET_MS: '900000' }).tickBudgetMs, 900000);
+  });
+
+  it('rejects short secrets', () => {
+    assert.deepEqual(problemsFor({ ...requiredEnv, EMAIL_LINK_SECRET: 'secret' }), ['EMAIL_LINK_SECRET must be at least 32 characters long']);
+  });
+
+  it('checks settings against each other', () => {
+    assert.deepEqual(problemsFor({ ...requiredEnv, SCHEDULE_GRANULARITY_MINUTES: '25' }), [
+      'SCHEDULE_GRANULARITY_MINUTES must divide 60 (e.g. 5, 10, 15 or 30), got 25'
+    ]);
+    assert.deepEqual(problemsFor({ ...requiredEnv, USER_TIMEOUT_MS: '600000', LEASE_TTL_MS: '600000' }), [
+      'LEASE_TTL_MS must be at least USER_TIMEOUT_MS plus one minute (660000), got 600000'
+    ]);
+  });
+
+  it('lists the problems in the error message', () => {
+    assert.throws(() => loadConfig({}), /^Error: Invalid configuration:\n {2}- SUPABASE_URL is required\n/);
+  });
+});
+
+describe('normalizeApiBaseUrl', () => {
+  it('strips a trailing slash and /api so requests go to /api/complete-workflow once', () => {
+    assert.equal(normalizeApiBaseUrl('https://backend.example.com/api'), 'https://backend.example.com');
+    assert.equal(normalizeApiBaseUrl('https://backend.example.com/api/'), 'https://backend.example.com');
+    assert.equal(normalizeApiBaseUrl('https://backend.example.com/'), 'https://backend.example.com');
+    assert.equal(normalizeApiBaseUrl('https://example.com/backend'), 'https://example.com/backend');
+  });
+
+  it('is applied to API_BASE_URL', () => {
+    assert.equal(loadConfig({ ...requiredEnv, API_BASE_URL: 'https://backend.example.com/api' }).apiBaseUrl, 'https://backend.example.com');
+  });
+});
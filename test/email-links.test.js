@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createEmailLinks } from '../lib/email-links.js';
+
+const links = createEmailLinks({ secret: 'a'.repeat(32), baseUrl: 'https://email.test/' });
+
+describe('createEmailLinks', () => {
+  it('builds links whose token verifies to the user', () => {
+    const url = new URL(links.unsubscribeUrl('user-1'));
+
+    assert.equal(url.origin + url.pathname, 'https://email.test/unsubscribe');
+    assert.equal(links.verify(url.searchParams.get('token')), 'user-1');
+    assert.equal(new URL(links.preferencesUrl('user-1')).pathname, '/preferences');
+  });
+
+  it('rejects tokens that were changed or signed with another secret', () => {
+    const [, signature] = links.tokenFor('user-1').split('.');
+    const otherLinks = createEmailLinks({ secret: 'b'.repeat(32), baseUrl: 'https://email.test' });
+
+    assert.equal(links.verify(`${Buffer.from('user-2').toString('base64url')}.${signature}`), null);
+    assert.equal(links.verify(otherLinks.tokenFor('user-1')), null);
+    assert.equal(links.verify('garbage'), null);
+    assert.equal(links.verify(null), null);
+  });
+});
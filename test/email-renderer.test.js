@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { renderAnalysisEmail, renderRefreshFailedNotice } from '../lib/email-renderer.js';
+
+const analysisResults = {
+  data: {
+    searchQueries: ['coffee zurich', 'latte art'],
+    videosCount: 6,
+    marketingStrategy: {
+      keyTakeaways: '- Use <b>bold</b> hooks\n- Keep it "short" & sweet',
+      hashtagStrategy: 'Primary (Niche):\n- #coffee<script>'
+    }
+  }
+};
+
+describe('renderAnalysisEmail', () => {
+  it('escapes strategy content in the HTML part', () => {
+    const { html } = renderAnalysisEmail({ full_name: 'Ann <Admin>' }, analysisResults);
+
+    assert.match(html, /Hello Ann &lt;Admin&gt;,/);
+    assert.match(html, /Use &lt;b&gt;bold&lt;\/b&gt; hooks/);
+    assert.match(html, /Keep it &quot;short&quot; &amp; sweet/);
+    assert.doesNotMatch(html, /<script>/);
+  });
+
+  it('renders a plain-text alternative without HTML', () => {
+    const { text } = renderAnalysisEmail({ full_name: 'Ann' }, analysisResults);
+
+    assert.match(text, /^- Search Queries Analyzed: 2$/m);
+    assert.match(text, /^- Keep it "short" & sweet$/m);
+    assert.doesNotMatch(text, /<li|<p/);
+  });
+
+  it('adds the unsubscribe and preferences links to the footer when given', () => {
+    const links = { unsubscribe: 'https://email.test/unsubscribe?token=a.b', preferences: 'https://email.test/preferences?token=a.b' };
+    const { html, text } = renderAnalysisEmail({ full_name: 'Ann' }, analysisResults, { links });
+
+    // Handlebars escapes `=` in attributes, which browsers decode again
+    assert.match(html, /<a href="https:\/\/email\.test\/unsubscribe\?token&#x3D;a\.b"[^>]*>Unsubscribe<\/a>/);
+    assert.match(text, /^Manage email preferences: https:\/\/email\.test\/preferences\?token=a\.b$/m);
+    assert.doesNotMatch(renderAnalysisEmail({}, analysisResults).text, /Unsubscribe/);
+  });
+
+  it('renders the whole email in the user\'s locale', () => {
+    const user = { full_name: 'Jörg', locale: 'de-CH', timezone: 'Europe/Zurich' };
+    const results = { data: { ...analysisResults.data, videosCount: 12345 } };
+    const { subject, html, text } = renderAnalysisEmail(user, results, { date: '2026-10-19T22:30:00Z' });
+
+    assert.equal(subject, 'Deine TikTok-Trendanalyse ist da');
+    assert.match(html, /<html lang="de">/);
+    assert.match(html, /Die wichtigsten Trends/);
+    assert.match(text, /^Hallo Jörg,$/m);
+    assert.match(text, /für den 20\. Oktober 2026/);
+    assert.match(text, /^- Analysierte TikTok-Videos: 12’345$/m);
+    assert.match(text, /^MARKETINGSTRATEGIE & CONTENT-IDEEN$/m);
+    assert.doesNotMatch(text, /Analyzed|Best regards/);
+  });
+
+  it('falls back to English for unsupported locales', () => {
+    const { subject, text } = renderAnalysisEmail({ full_name: 'Ann', locale: 'ja' }, analysisResults);
+
+    assert.equal(subject, 'Your TikTok Trend Analysis Results');
+    assert.match(text, /^YOUR TIKTOK ANALYSIS RESULTS$/m);
+  });
+
+  it('shows what changed since the previous report', () => {
+    const previous = {
+      date: '2026-10-18T07:00:00Z',
+      results: { data: { marketingStrategy: { keyTakeaways: '- Post daily', hashtagStrategy: 'Primary (Niche):\n- #coffee\n- #barista' } } }
+    };
+    const { html, text } = renderAnalysisEmail({ full_name: 'Ann', timezone: 'Europe/Zurich' }, analysisResults, { previous });
+
+    assert.match(text, /^WHAT'S NEW SINCE YOUR LAST REPORT$/m);
+    assert.match(text, /^Compared with your report for October 18, 2026\.$/m);
+    assert.match(text, /^Dropped hashtags: #barista$/m);
+    assert.match(text, /^- Post daily$/m);
+    assert.match(html, /What&#x27;s New Since Your Last Report/);
+    assert.doesNotMatch(text, /New hashtags/);
+  });
+
+  it('leaves out the changes section in the first report', () => {
+    assert.doesNotMatch(renderAnalysisEmail({}, analysisResults).text, /WHAT'S NEW/);
+  });
+
+  it('falls back to a notice when there is no strategy', () => {
+    const { html, text } = renderAnalysisEmail({}, { data: {} });
+
+    assert.match(html, /Hello there,/);
+    assert.match(text, /No detailed strategy information available at this time\./);
+  });
+});
+
+describe('renderRefreshFailedNotice', () => {
+  it('tells the user in their language that there is no report for the slot', () => {
+    const links = { unsubscribe: 'https://email.test/unsubscribe?token=abc', preferences: 'https://email.test/preferences?token=abc' };
+    const { subject, html, text } = renderRefreshFailedNotice(
+      { full_name: 'Ann', locale: 'de', timezone: 'Europe/Zurich' },
+      { links, date: '2026-10-19T07:00:00Z' }
+    );
+
+    assert.equal(subject, 'Wir konnten deine TikTok-Trends heute nicht aktualisieren');
+    assert.match(html, /<html lang="de">/);
+    assert.match(text, /^Hallo Ann,$/m);
+    assert.match(text, /Trendanalyse für den 19\. Oktober 2026 nicht aktualisieren/);
+    assert.match(text, /^Abmelden: https:\/\/email\.test\/unsubscribe\?token=abc$/m);
+  });
+});
@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { createEmailLinks } from '../lib/email-links.js';
+import { createEmailRequestHandler, parseBrevoEvents } from '../lib/email-server.js';
+import { createUserRepository } from '../lib/user-repository.js';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+import { createCapturingLogger } from './helpers/fakes.js';
+
+const webhookSecret = 'w'.repeat(32);
+const links = createEmailLinks({ secret: 'a'.repeat(32), baseUrl: 'https://email.test' });
+
+describe('createEmailRequestHandler', () => {
+  let supabase;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // The handler reads the current fake on every request
+    const handler = (request, response) => createEmailRequestHandler({
+      repository: createUserRepository(supabase, { leaseOwner: 'server', leaseTtlMs: 60000, logger: createCapturingLogger() }),
+      links,
+      webhookSecret,
+      logger: createCapturingLogger()
+    })(request, response);
+
+    server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    supabase = createFakeSupabase({
+      users: [{ id: 'user-1', email: 'ann@example.com', email_notifications: true }],
+      email_suppressions: []
+    });
+  });
+
+  const tokenPath = path => `${baseUrl}${path}?token=${links.tokenFor('user-1')}`;
+
+  it('asks for confirmation before unsubscribing from a link', async () => {
+    const response = await fetch(tokenPath('/unsubscribe'));
+
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /<form method="post"/);
+    assert.equal(supabase.tables.users[0].email_notifications, true);
+  });
+
+  it('unsubscribes with a one-click POST', async () => {
+    const response = await fetch(tokenPath('/unsubscribe'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'List-Unsubscribe=One-Click'
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(supabase.tables.users[0].email_notifications, false);
+  });
+
+  it('rejects forged tokens', async () => {
+    const response = await fetch(`${baseUrl}/unsubscribe?token=${Buffer.from('user-1').toString('base64url')}.forged`, { method: 'POST' });
+
+    assert.equal(response.status, 400);
+    assert.equal(supabase.tables.users[0].email_notifications, true);
+  });
+
+  it('shows and saves the email preference', async () => {
+    assert.match(await (await fetch(tokenPath('/preferences'))).text(), /name="email_notifications" checked/);
+
+    const response = await fetch(tokenPath('/preferences'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: ''
+    });
+
+    assert.match(await response.text(), /Your preferences were saved/);
+    assert.equal(supabase.tables.users[0].email_notifications, false);
+  });
+
+  it('suppresses addresses from authenticated bounce and complaint webhooks', async () => {
+    const events = [
+      { event: 'hard_bounce', email: 'Ann@Example.com', reason: 'mailbox does not exist', ts_event: 1792389600, 'message-id': '<m1>' },
+      { event: 'spam', email: 'bob@example.com' },
+      { event: 'soft_bounce', email: 'cem@example.com' },
+      { event: 'hard_bounce', email: 'ann@example.com' }
+    ];
+    const post = authorization => fetch(`${baseUrl}/webhooks/brevo`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(authorization && { Authorization: authorization }) },
+      body: JSON.stringify(events)
+    });
+
+    assert.equal((await post('Bearer wrong')).status, 401);
+    assert.equal(supabase.tables.email_suppressions.length, 0);
+
+    const response = await post(`Bearer ${webhookSecret}`);
+
+    assert.deepEqual(await response.json(), { received: 4, suppressed: 3 });
+    assert.deepEqual(supabase.tables.email_suppressions.map(({ email, reason }) => ({ email, reason })), [
+      { email: 'ann@example.com', reason: 'hard_bounce' },
+      { email: 'bob@example.com', reason: 'complaint' }
+    ]);
+    assert.equal(supabase.tables.email_suppressions[0].details.reason, 'mailbox does not exist');
+  });
+
+  it('answers webhooks with a 500 when the database fails, so the provider retries', async () => {
+    supabase.failNext('email_suppressions', 'upsert');
+
+    const response = await fetch(`${baseUrl}/webhooks/brevo`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${webhookSecret}` },
+      body: JSON.stringify({ event: 'hard_bounce', email: 'ann@example.com' })
+    });
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe('parseBrevoEvents', () => {
+  it('maps a single event and records when it happened', () => {
+    assert.deepEqual(parseBrevoEvents({ event: 'blocked', email: 'ann@example.com', ts_event: 1792389600 }), [{
+      email: 'ann@example.com',
+      reason: 'blocked',
+      provider: 'brevo',
+      eventAt: '2026-10-19T06:00:00.000Z',
+      details: { event: 'blocked', reason: null, messageId: null }
+    }]);
+  });
+});
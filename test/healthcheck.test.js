@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { formatHealthReport, runHealthChecks } from '../lib/healthcheck.js';
+import { createUserRepository } from '../lib/user-repository.js';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+import { createCapturingLogger } from './helpers/fakes.js';
+
+describe('runHealthChecks', () => {
+  it('reports each check\'s outcome', async () => {
+    const results = await runHealthChecks({
+      database: async () => '3 opted-in users',
+      backend: async () => {
+        throw new Error('connect ECONNREFUSED 127.0.0.1:3001');
+      }
+    }, { timeoutMs: 1000 });
+
+    assert.deepEqual(results.map(({ name, ok, detail, error }) => ({ name, ok, detail, error })), [
+      { name: 'database', ok: true, detail: '3 opted-in users', error: null },
+      { name: 'backend', ok: false, detail: null, error: 'connect ECONNREFUSED 127.0.0.1:3001' }
+    ]);
+  });
+
+  it('fails and aborts checks that take too long', async () => {
+    let aborted = false;
+    const [result] = await runHealthChecks({
+      backend: signal => new Promise(() => {
+        signal.addEventListener('abort', () => {
+          aborted = true;
+        });
+      })
+    }, { timeoutMs: 10 });
+
+    assert.equal(result.ok, false);
+    assert.equal(result.error, 'Timed out after 10ms');
+    assert.equal(aborted, true);
+  });
+});
+
+describe('formatHealthReport', () => {
+  it('prints one aligned line per check', () => {
+    const report = formatHealthReport([
+      { name: 'database', ok: true, detail: '3 opted-in users', error: null, durationMs: 12 },
+      { name: 'mail (brevo)', ok: false, detail: null, error: 'Unauthorized', durationMs: 80 }
+    ]);
+
+    assert.equal(report, 'ok    database      12ms  3 opted-in users\nFAIL  mail (brevo)  80ms  Unauthorized');
+  });
+});
+
+describe('repository.checkHealth', () => {
+  const options = { leaseOwner: 'run-1', leaseTtlMs: 60000, logger: createCapturingLogger() };
+
+  it('names the table that cannot be read', async () => {
+    const supabase = createFakeSupabase({ users: [] });
+    supabase.failNext('scheduler_runs', 'select', new Error('relation "scheduler_runs" does not exist'));
+
+    await assert.rejects(createUserRepository(supabase, options).checkHealth(),
+      /Cannot read table scheduler_runs: relation "scheduler_runs" does not exist/);
+  });
+});
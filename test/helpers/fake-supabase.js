@@ -0,0 +1,236 @@
+import { randomUUID } from 'node:crypto';
+
+// Column defaults from the SQL migrations that the scheduler relies on
+const COLUMN_DEFAULTS = {
+  workflow_runs: { email_status: 'pending' },
+  workflow_dead_letters: { status: 'pending', attempts: 0 }
+};
+
+/**
+ * In-memory stand-in for the parts of the supabase-js query builder the
+ * scheduler uses: select/insert/update/upsert with eq, in, gt, gte, lt, lte, order,
+ * limit, single and maybeSingle, plus the lease RPC functions.
+ */
+class FakeQuery {
+  constructor(database, table) {
+    this.database = database;
+    this.table = table;
+    this.operation = 'select';
+    this.filters = [];
+    this.returning = false;
+  }
+
+  select(columns, { count = null, head = false } = {}) {
+    if (this.operation === 'select') {
+      this.count = count;
+      this.head = head;
+      return this;
+    }
+    this.returning = true;
+    return this;
+  }
+
+  insert(values) {
+    this.operation = 'insert';
+    this.values = values;
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.values = values;
+    return this;
+  }
+
+  upsert(values, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+    this.operation = 'upsert';
+    this.values = values;
+    this.conflictColumns = onConflict.split(',');
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push(row => row[column] === value);
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push(row => values.includes(row[column]));
+    return this;
+  }
+
+  gt(column, value) {
+    this.filters.push(row => row[column] > value);
+    return this;
+  }
+
+  gte(column, value) {
+    this.filters.push(row => row[column] >= value);
+    return this;
+  }
+
+  lt(column, value) {
+    this.filters.push(row => row[column] < value);
+    return this;
+  }
+
+  lte(column, value) {
+    this.filters.push(row => row[column] <= value);
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.sort = { column, ascending };
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  execute() {
+    const error = this.database.takeFailure(this.table, this.operation);
+    if (error) {
+      return { data: null, error };
+    }
+
+    const rows = this.database.tables[this.table] ??= [];
+    let data;
+
+    if (this.operation === 'upsert') {
+      for (const values of Array.isArray(this.values) ? this.values : [this.values]) {
+        const existing = rows.find(row => this.conflictColumns.every(column => row[column] === values[column]));
+        if (!existing) {
+          rows.push({ ...COLUMN_DEFAULTS[this.table], ...structuredClone(values) });
+        } else if (!this.ignoreDuplicates) {
+          Object.assign(existing, structuredClone(values));
+        }
+      }
+      return { data: null, error: null };
+    }
+
+    if (this.operation === 'insert') {
+      data = (Array.isArray(this.values) ? this.values : [this.values])
+        .map(values => ({ id: randomUUID(), ...COLUMN_DEFAULTS[this.table], ...structuredClone(values) }));
+      rows.push(...data);
+      if (!this.returning) {
+        return { data: null, error: null };
+      }
+    } else {
+      data = rows.filter(row => this.filters.every(filter => filter(row)));
+
+      if (this.operation === 'update') {
+        for (const row of data) {
+          Object.assign(row, structuredClone(this.values));
+        }
+        if (!this.returning) {
+          return { data: null, error: null };
+        }
+      }
+
+      if (this.sort) {
+        const { column, ascending } = this.sort;
+        data = [...data].sort((a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1));
+      }
+      if (this.limitCount !== undefined) {
+        data = data.slice(0, this.limitCount);
+      }
+    }
+
+    data = structuredClone(data);
+
+    if (this.count) {
+      return { data: this.head ? null : data, count: data.length, error: null };
+    }
+
+    if (this.cardinality) {
+      if (data.length > 1 || (data.length === 0 && this.cardinality === 'single')) {
+        return { data: null, error: new Error(`Expected a single ${this.table} row, found ${data.length}`) };
+      }
+      return { data: data[0] ?? null, error: null };
+    }
+
+    return { data, error: null };
+  }
+}
+
+/**
+ * Create an in-memory Supabase client
+ * @param {Object<string, Array<Object>>} [tables] - Initial rows per table
+ * @returns {Object} - Client exposing `from`, `rpc`, the raw `tables` and `failNext`
+ */
+export function createFakeSupabase(tables = {}) {
+  const failures = [];
+
+  const database = {
+    tables: structuredClone(tables),
+
+    takeFailure(table, operation) {
+      const index = failures.findIndex(failure => failure.table === table && failure.operation === operation);
+      return index === -1 ? null : failures.splice(index, 1)[0].error;
+    }
+  };
+
+  const functions = {
+    claim_workflow_lease({ p_user_id, p_phase, p_owner }) {
+      const leases = database.tables.workflow_leases ??= [];
+      const existing = leases.find(lease => lease.user_id === p_user_id && lease.phase === p_phase);
+      if (existing && existing.owner !== p_owner) {
+        return false;
+      }
+      if (!existing) {
+        leases.push({ user_id: p_user_id, phase: p_phase, owner: p_owner });
+      }
+      return true;
+    },
+
+    release_workflow_lease({ p_user_id, p_phase, p_owner }) {
+      const leases = database.tables.workflow_leases ??= [];
+      database.tables.workflow_leases = leases.filter(lease =>
+        !(lease.user_id === p_user_id && lease.phase === p_phase && lease.owner === p_owner));
+      return null;
+    }
+  };
+
+  return {
+    tables: database.tables,
+
+    from(table) {
+      return new FakeQuery(database, table);
+    },
+
+    async rpc(name, params) {
+      const error = database.takeFailure(name, 'rpc');
+      if (error) {
+        return { data: null, error };
+      }
+      return { data: functions[name](params), error: null };
+    },
+
+    /**
+     * Make the next matching operation return an error
+     * @param {string} table - Table name, or RPC function name for `rpc`
+     * @param {'select'|'insert'|'update'|'rpc'} operation - Operation to fail
+     * @param {Error} [error] - Error to return
+     */
+    failNext(table, operation, error = new Error(`${operation} on ${table} failed`)) {
+      failures.push({ table, operation, error });
+    }
+  };
+}
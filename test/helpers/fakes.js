@@ -0,0 +1,71 @@
+import { createLogger } from '../../lib/logger.js';
+
+/**
+ * Build an error shaped like the one axios throws for an HTTP error response
+ * @param {number} status - Response status
+ * @param {Object} [data] - Response body
+ * @param {Object} [headers] - Response headers
+ * @returns {Error}
+ */
+export function httpError(status, data = {}, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.request = {};
+  error.response = { status, data, headers };
+  return error;
+}
+
+/**
+ * Create an axios-compatible HTTP client standing in for the workflow API
+ * @param {Function} respond - Called with (body, call) for each request; returns the response data or throws
+ * @returns {{post: Function, calls: Array<Object>}}
+ */
+export function createFakeWorkflowApi(respond) {
+  const calls = [];
+
+  return {
+    calls,
+    async post(url, body, options = {}) {
+      const call = { url, body, options };
+      calls.push(call);
+      return { status: 200, data: await respond(body, call) };
+    }
+  };
+}
+
+/**
+ * Create a mail transport that records messages instead of delivering them
+ * @param {Object} [options] - Transport options
+ * @param {Error} [options.failWith] - Fail every send with this error
+ * @returns {{name: string, send: Function, verify: Function, sent: Array<Object>}}
+ */
+export function createFakeMailTransport({ failWith } = {}) {
+  const sent = [];
+
+  return {
+    name: 'fake',
+    sent,
+    async send(message) {
+      if (failWith) {
+        throw failWith;
+      }
+      sent.push(message);
+      return { messageId: `fake-${sent.length}` };
+    },
+    async verify() {
+      if (failWith) {
+        throw failWith;
+      }
+    }
+  };
+}
+
+/**
+ * Create a logger that keeps its entries in memory instead of writing them
+ * @param {Object} [context] - Fields added to every entry
+ * @returns {Object} - Logger with an `entries` array of parsed log entries
+ */
+export function createCapturingLogger(context = {}) {
+  const entries = [];
+  const logger = createLogger({ level: 'debug', context, write: line => entries.push(JSON.parse(line)) });
+  return Object.assign(logger, { entries });
+}
@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTranslator, resolveLocale } from '../lib/i18n.js';
+
+describe('resolveLocale', () => {
+  it('keeps the region of a supported language', () => {
+    assert.deepEqual(resolveLocale('de-CH'), { locale: 'de-CH', language: 'de' });
+    assert.deepEqual(resolveLocale('fr_ca'), { locale: 'fr-CA', language: 'fr' });
+  });
+
+  it('falls back to English for missing, malformed and unsupported locales', () => {
+    for (const requested of [null, '', 'not a locale!', 'ja-JP']) {
+      assert.deepEqual(resolveLocale(requested), { locale: 'en', language: 'en' });
+    }
+  });
+});
+
+describe('createTranslator', () => {
+  it('fills in placeholders with numbers formatted for the locale', () => {
+    assert.equal(createTranslator('de').t('stats.videos', { count: 12345 }), 'Analysierte TikTok-Videos: 12.345');
+    assert.equal(createTranslator('en').t('stats.videos', { count: 12345 }), 'TikTok Videos Analyzed: 12,345');
+  });
+
+  it('formats dates in the given timezone', () => {
+    const date = new Date('2026-10-19T23:30:00Z');
+
+    assert.equal(createTranslator('en-US', { timeZone: 'Asia/Tokyo' }).formatDate(date), 'October 20, 2026');
+    assert.equal(createTranslator('en-US', { timeZone: 'Invalid/Zone' }).formatDate(date), 'October 19, 2026');
+  });
+
+  it('falls back to English messages, then to the key', () => {
+    const { t } = createTranslator('de');
+
+    assert.equal(t('greeting', { name: 'Jörg' }), 'Hallo Jörg,');
+    assert.equal(t('no.such.key'), 'no.such.key');
+  });
+});
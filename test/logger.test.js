@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createLogger, hashIdentifier, redactEmails } from '../lib/logger.js';
+
+function capture(options = {}) {
+  const entries = [];
+  const logger = createLogger({ ...options, write: line => entries.push(JSON.parse(line)) });
+  return { logger, entries };
+}
+
+describe('createLogger', () => {
+  it('writes one JSON entry per call with the logger\'s context', () => {
+    const { logger, entries } = capture({ context: { runId: 'run-1' } });
+
+    logger.child({ correlationId: 'corr-1' }).info('Processing analysis', { attempt: 2 });
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].level, 'info');
+    assert.equal(entries[0].msg, 'Processing analysis');
+    assert.equal(entries[0].runId, 'run-1');
+    assert.equal(entries[0].correlationId, 'corr-1');
+    assert.equal(entries[0].attempt, 2);
+    assert.match(entries[0].time, /^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  it('drops entries below the configured level', () => {
+    const { logger, entries } = capture({ level: 'warn' });
+
+    logger.info('ignored');
+    logger.debug('ignored');
+    logger.error('kept');
+
+    assert.deepEqual(entries.map(entry => entry.msg), ['kept']);
+  });
+
+  it('masks emails, hashes IDs and leaves out personal data', () => {
+    const { logger, entries } = capture({ salt: 'pepper' });
+
+    logger.error('No user found with email \'ann.lee@example.com\'', {
+      userId: 'user-1',
+      auth_id: 'auth-1',
+      business_description: 'Coffee shop in Zurich',
+      error: new Error('Could not reach ann.lee@example.com')
+    });
+
+    const [entry] = entries;
+    assert.equal(entry.msg, 'No user found with email \'a***@example.com\'');
+    assert.equal(entry.userId, hashIdentifier('user-1', 'pepper'));
+    assert.equal(entry.auth_id, hashIdentifier('auth-1', 'pepper'));
+    assert.equal(entry.business_description, undefined);
+    assert.deepEqual(entry.error, { name: 'Error', message: 'Could not reach a***@example.com' });
+  });
+
+  it('summarizes large payloads', () => {
+    const { logger, entries } = capture();
+
+    logger.info('Big', { text: 'x'.repeat(1000), list: Array.from({ length: 50 }, (item, index) => index), nested: { a: { b: { c: 1 } } } });
+
+    const [entry] = entries;
+    assert.match(entry.text, /^x{300}\.\.\. \[1000 chars\]$/);
+    assert.equal(entry.list, '[50 items]');
+    assert.deepEqual(entry.nested, { a: { b: '[object]' } });
+  });
+});
+
+describe('hashIdentifier', () => {
+  it('is stable per salt and hides the input', () => {
+    assert.equal(hashIdentifier('user-1', 'a'), hashIdentifier('user-1', 'a'));
+    assert.notEqual(hashIdentifier('user-1', 'a'), hashIdentifier('user-1', 'b'));
+    assert.match(hashIdentifier('user-1'), /^[0-9a-f]{12}$/);
+    assert.equal(hashIdentifier(null), null);
+  });
+});
+
+describe('redactEmails', () => {
+  it('keeps only the first character of the local part', () => {
+    assert.equal(redactEmails('to ann@example.com, bob@example.org'), 'to a***@example.com, b***@example.org');
+  });
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { createAnalysisMailer } from '../lib/analysis-mailer.js';
+import { loadConfig } from '../lib/config.js';
+import { createFileTransport, createMailTransport } from '../lib/mail-transports.js';
+import { createCapturingLogger } from './helpers/fakes.js';
+
+const requiredEnv = {
+  SUPABASE_URL: 'https://project.supabase.co',
+  SUPABASE_SERVICE_ROLE_KEY: 'service-key',
+  BREVO_API_KEY: 'brevo-key',
+  PUBLIC_BASE_URL: 'https://email.lazy-trends.com',
+  EMAIL_LINK_SECRET: 'a'.repeat(32)
+};
+
+const message = {
+  to: { email: 'ann@example.com', name: 'Ann' },
+  from: { email: 'noreply@lazy-trends.com', name: 'The Complete Lazy Trend' },
+  subject: 'Your TikTok Trend Analysis Results',
+  html: '<p>Hello Ann</p>',
+  text: 'Hello Ann\n'
+};
+
+describe('createFileTransport', () => {
+  let outputDir;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  it('writes an .eml and an .html file per message', async () => {
+    const transport = createFileTransport({ outputDir });
+    const result = await transport.send(message);
+
+    const files = (await fs.readdir(outputDir)).sort();
+    assert.equal(files.length, 2);
+    assert.match(files[0], /ann@example\.com\.eml$/);
+    assert.match(files[1], /ann@example\.com\.html$/);
+    assert.equal(result.path, path.join(outputDir, files[0]));
+
+    const eml = await fs.readFile(path.join(outputDir, files[0]), 'utf8');
+    assert.match(eml, /^To: Ann <ann@example\.com>$/m);
+    assert.match(eml, /^Subject: Your TikTok Trend Analysis Results$/m);
+    assert.match(eml, /Content-Type: text\/plain/);
+    assert.match(eml, /Content-Type: text\/html/);
+
+    assert.equal(await fs.readFile(path.join(outputDir, files[1]), 'utf8'), message.html);
+  });
+
+  it('leaves reporting the written file to the mailer\'s logger', async t => {
+    const consoleLog = t.mock.method(console, 'log', () => {});
+    const logger = createCapturingLogger();
+    const mailer = createAnalysisMailer({ transport: createFileTransport({ outputDir }), senderEmail: 'noreply@lazy-trends.com', logger });
+
+    await mailer.sendRefreshFailedNotice({ id: 'user-1', email: 'ann@example.com', full_name: 'Ann' });
+
+    assert.equal(consoleLog.mock.callCount(), 0);
+    const [sent] = logger.entries.filter(entry => entry.msg === 'Email sent');
+    assert.equal(sent.transport, 'file');
+    // The address in the file name is masked like any other
+    assert.match(sent.path, /\*\*\*@example\.com\.eml$/);
+    assert.doesNotMatch(sent.path, /ann@/);
+  });
+});
+
+describe('createMailTransport', () => {
+  it('defaults to Brevo', () => {
+    assert.equal(createMailTransport(loadConfig(requiredEnv)).name, 'brevo');
+  });
+
+  it('selects the transport named in MAIL_TRANSPORT', () => {
+    const { BREVO_API_KEY, ...withoutBrevo } = requiredEnv;
+
+    assert.equal(createMailTransport(loadConfig({ ...withoutBrevo, MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'localhost' })).name, 'smtp');
+    assert.equal(createMailTransport(loadConfig({ ...withoutBrevo, MAIL_TRANSPORT: 'FILE' })).name, 'file');
+    assert.equal(createMailTransport(loadConfig({ ...withoutBrevo, MAIL_TRANSPORT: 'console' })).name, 'console');
+  });
+
+  it('rejects an unknown transport', () => {
+    assert.throws(() => createMailTransport({ mailTransport: 'pigeon' }), /Unknown MAIL_TRANSPORT 'pigeon'/);
+  });
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { formatAlertText, getAlertReason } from '../lib/run-reporter.js';
+import { createRunSummary, formatOpenMetrics } from '../lib/run-summary.js';
+
+/**
+ * Build a finished summary with some recorded outcomes
+ * @returns {Object} - Run summary
+ */
+function sampleSummary() {
+  const summary = createRunSummary({ runId: 'run-1' });
+  summary.setConsidered(5);
+  summary.record('analysis', 'succeeded');
+  summary.record('analysis', 'failed');
+  summary.record('analysis', 'skipped', 'not_due');
+  summary.record('analysis', 'skipped', 'not_due');
+  summary.record('email', 'sent');
+  summary.record('email', 'skipped', 'opted_out');
+  return summary.finish();
+}
+
+describe('createRunSummary', () => {
+  it('counts outcomes per phase and skip reasons', () => {
+    const summary = sampleSummary();
+
+    assert.equal(summary.runId, 'run-1');
+    assert.equal(summary.status, 'succeeded');
+    assert.equal(summary.usersConsidered, 5);
+    assert.deepEqual(summary.analysis, { succeeded: 1, failed: 1, skipped: 2, deferred: 0 });
+    assert.deepEqual(summary.email, { sent: 1, notice_sent: 0, failed: 0, skipped: 1, deferred: 0 });
+    assert.deepEqual(summary.skipReasons, { analysis: { not_due: 2 }, email: { opted_out: 1 } });
+    assert.equal(summary.attempted, 3);
+    assert.equal(summary.failureRate, 1 / 3);
+  });
+
+  it('counts channel deliveries as attempted steps', () => {
+    const summary = createRunSummary({ runId: 'run-1' });
+    summary.record('email', 'sent');
+    summary.recordDelivery('slack', 'sent');
+    summary.recordDelivery('webhook', 'failed');
+    const result = summary.finish();
+
+    assert.deepEqual(result.deliveries, { slack: { sent: 1, failed: 0 }, webhook: { sent: 0, failed: 1 } });
+    assert.equal(result.attempted, 3);
+    assert.equal(result.failureRate, 1 / 3);
+    assert.match(formatOpenMetrics(result), /^lazytrends_scheduler_channel_deliveries\{channel="webhook",outcome="failed"\} 1$/m);
+  });
+
+  it('times phases and records fatal errors', async () => {
+    const summary = createRunSummary({ runId: 'run-1' });
+    const value = await summary.measure('analysis', async () => 'done');
+    const result = summary.finish({ error: new Error('Invalid API key') });
+
+    assert.equal(value, 'done');
+    assert.equal(typeof result.phaseDurationsMs.analysis, 'number');
+    assert.equal(result.status, 'failed');
+    assert.equal(result.error, 'Invalid API key');
+    assert.equal(result.failureRate, 0);
+  });
+});
+
+describe('formatOpenMetrics', () => {
+  it('writes gauges with phase, outcome and reason labels', () => {
+    const text = formatOpenMetrics(sampleSummary());
+
+    assert.match(text, /^# TYPE lazytrends_scheduler_steps gauge$/m);
+    assert.match(text, /^lazytrends_scheduler_steps\{phase="analysis",outcome="failed"\} 1$/m);
+    assert.match(text, /^lazytrends_scheduler_skipped_steps\{phase="analysis",reason="not_due"\} 2$/m);
+    assert.match(text, /^lazytrends_scheduler_users_considered 5$/m);
+    assert.match(text, /^lazytrends_scheduler_last_run_success 1$/m);
+    assert.ok(text.endsWith('# EOF\n'));
+  });
+});
+
+describe('getAlertReason', () => {
+  const thresholds = { failureRatePercent: 30, minAttempts: 3 };
+
+  it('alerts when the failure rate reaches the threshold', () => {
+    assert.match(getAlertReason(sampleSummary(), thresholds), /1 of 3 steps failed \(33%, threshold 30%\)/);
+    assert.equal(getAlertReason(sampleSummary(), { ...thresholds, failureRatePercent: 50 }), null);
+  });
+
+  it('ignores the failure rate below the minimum number of attempts', () => {
+    assert.equal(getAlertReason(sampleSummary(), { ...thresholds, minAttempts: 4 }), null);
+  });
+
+  it('counts failed channel deliveries like the failure rate does', () => {
+    const summary = createRunSummary({ runId: 'run-1' });
+    summary.record('email', 'sent');
+    summary.record('email', 'sent');
+    summary.recordDelivery('slack', 'failed');
+    summary.recordDelivery('slack', 'failed');
+    summary.recordDelivery('slack', 'failed');
+    const result = summary.finish();
+
+    const reason = getAlertReason(result, { failureRatePercent: 50, minAttempts: 3 });
+    assert.equal(reason, '3 of 5 steps failed (60%, threshold 50%)');
+    assert.match(formatAlertText(result, reason), /^Deliveries: slack 0 sent, 3 failed$/m);
+  });
+
+  it('always alerts on a failed run', () => {
+    const summary = createRunSummary({ runId: 'run-1' }).finish({ error: new Error('Invalid API key') });
+    assert.equal(getAlertReason(summary, thresholds), 'Run failed: Invalid API key');
+  });
+});
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  HOUR_MS,
+  checkDue,
+  getLatestSlotAtOrBefore,
+  getUserSchedule,
+  planUser,
+  zonedTimeToUtc
+} from '../lib/schedule.js';
+
+const options = { granularityMinutes: 15, catchupGraceMs: 6 * HOUR_MS };
+
+describe('zonedTimeToUtc', () => {
+  it('converts a local time using the offset in effect on that date', () => {
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 9, minute: 0 }, 'America/New_York').toISOString(), '2026-01-15T14:00:00.000Z');
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 9, minute: 0 }, 'America/New_York').toISOString(), '2026-07-15T13:00:00.000Z');
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 9, minute: 30 }, 'Asia/Kolkata').toISOString(), '2026-07-15T04:00:00.000Z');
+  });
+
+  it('shifts a time skipped by spring forward past the gap', () => {
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+  });
+
+  it('uses the first occurrence of a time repeated by fall back', () => {
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z');
+  });
+});
+
+describe('getUserSchedule', () => {
+  it('falls back to UTC at 9:00 for invalid settings', () => {
+    const schedule = getUserSchedule({ email: 'a@example.com', timezone: 'Mars/Olympus', email_time_hour: 24, email_time_minute: -1 });
+
+    assert.equal(schedule.timezone, 'UTC');
+    assert.equal(schedule.hour, 9);
+    assert.equal(schedule.minute, 0);
+    assert.equal(schedule.warnings.length, 3);
+  });
+
+  it('rounds the minute down to the tick granularity', () => {
+    assert.equal(getUserSchedule({ email_time_minute: 44 }, 15).minute, 30);
+    assert.equal(getUserSchedule({ email_time_minute: 44 }, 60).minute, 0);
+  });
+
+  it('maps schedule frequencies to weekdays', () => {
+    assert.deepEqual([...getUserSchedule({ schedule_frequency: 'weekdays' }).weekdays], [1, 2, 3, 4, 5]);
+    assert.deepEqual([...getUserSchedule({ schedule_frequency: 'weekly', schedule_days: [5] }).weekdays], [5]);
+    assert.deepEqual([...getUserSchedule({ schedule_frequency: 'custom', schedule_days: [2, 9, 4] }).weekdays], [2, 4]);
+  });
+});
+
+describe('getLatestSlotAtOrBefore', () => {
+  it('finds the latest slot on a scheduled weekday', () => {
+    // Monday 2026-10-19, 10:00 in New York; weekly on Friday
+    const schedule = getUserSchedule({ timezone: 'America/New_York', email_time_hour: 9, schedule_frequency: 'weekly', schedule_days: [5] });
+
+    assert.equal(getLatestSlotAtOrBefore(schedule, new Date('2026-10-19T14:00:00Z')).toISOString(), '2026-10-16T13:00:00.000Z');
+  });
+
+  it('returns null while the schedule is paused', () => {
+    const schedule = getUserSchedule({ timezone: 'UTC', schedule_paused_until: '2026-10-20' });
+
+    assert.equal(getLatestSlotAtOrBefore(schedule, new Date('2026-10-19T12:00:00Z')), null);
+    assert.equal(getLatestSlotAtOrBefore(schedule, new Date('2026-10-20T12:00:00Z')).toISOString(), '2026-10-20T09:00:00.000Z');
+  });
+});
+
+describe('checkDue', () => {
+  const dueAt = new Date('2026-10-19T09:00:00Z');
+
+  it('is due when the step has not run since its slot', () => {
+    assert.equal(checkDue(dueAt, '2026-10-18T09:00:00Z', new Date('2026-10-19T09:15:00Z'), options.catchupGraceMs).due, true);
+    assert.equal(checkDue(dueAt, null, new Date('2026-10-19T09:15:00Z'), options.catchupGraceMs).due, true);
+  });
+
+  it('is not due once the step ran, or after the catch-up window', () => {
+    assert.match(checkDue(dueAt, '2026-10-19T09:01:00Z', new Date('2026-10-19T09:15:00Z'), options.catchupGraceMs).reason, /already done/);
+    assert.match(checkDue(dueAt, null, new Date('2026-10-19T16:00:00Z'), options.catchupGraceMs).reason, /outside the 6h catch-up window/);
+  });
+});
+
+describe('planUser', () => {
+  it('plans the analysis an hour before the email slot in the user\'s time zone', () => {
+    const user = { timezone: 'Europe/Zurich', email_time_hour: 9, last_workflow_run: null, last_email_sent: null };
+    // 08:00 in Zurich (UTC+2 in October)
+    const plan = planUser(user, new Date('2026-10-19T06:00:00Z'), options);
+
+    assert.equal(plan.analysis.due, true);
+    assert.equal(plan.analysis.scheduledFor.toISOString(), '2026-10-19T07:00:00.000Z');
+    // Yesterday's email slot is long past the catch-up window
+    assert.equal(plan.email.scheduledFor.toISOString(), '2026-10-18T07:00:00.000Z');
+    assert.equal(plan.email.due, false);
+  });
+});
@@ -0,0 +1,654 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { createAnalysisMailer } from '../lib/analysis-mailer.js';
+import { createChannelSender } from '../lib/channel-sender.js';
+import { loadConfig } from '../lib/config.js';
+import { createEmailLinks } from '../lib/email-links.js';
+import { createRunReporter } from '../lib/run-reporter.js';
+import { createScheduler } from '../lib/scheduler.js';
+import { createUserRepository } from '../lib/user-repository.js';
+import { createWorkflowClient } from '../lib/workflow-client.js';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+import { createCapturingLogger, createFakeMailTransport, createFakeWorkflowApi, httpError } from './helpers/fakes.js';
+
+const analysisResults = {
+  success: true,
+  data: {
+    searchQueries: ['coffee zurich'],
+    videosCount: 3,
+    marketingStrategy: { keyTakeaways: '- Film the latte art up close' }
+  }
+};
+
+// Emails at 09:00 in Zurich, which is 07:00 UTC in October
+const zurichUser = {
+  id: 'user-zurich',
+  auth_id: 'auth-zurich',
+  email: 'ann@example.com',
+  full_name: 'Ann',
+  business_description: 'Coffee shop in Zurich',
+  email_notifications: true,
+  timezone: 'Europe/Zurich',
+  email_time_hour: 9,
+  last_workflow_run: null,
+  last_email_sent: null,
+  analysis_ready_for_email: false
+};
+
+// Rows of create_plans_table.sql
+const plans = [
+  { id: 'free', name: 'Free', videos_per_query: 3, query_count: 3, monthly_run_quota: 8 },
+  { id: 'business', name: 'Business', videos_per_query: 10, query_count: 10, monthly_run_quota: null }
+];
+
+/**
+ * Create a scheduler wired to in-memory fakes
+ * @param {Object} options - Fake state
+ * @returns {Object} - The scheduler and the fakes behind it
+ */
+function setup({ users = [zurichUser], tables = {}, respond = () => analysisResults, mailError, channelRespond = () => ({}) } = {}) {
+  const supabase = createFakeSupabase({
+    users,
+    plans,
+    workflow_runs: [],
+    workflow_dead_letters: [],
+    scheduler_runs: [],
+    delivery_channels: [],
+    ...tables
+  });
+  const api = createFakeWorkflowApi(respond);
+  const hooks = createFakeWorkflowApi(() => ({}));
+  const channels = createFakeWorkflowApi(channelRespond);
+  const transport = createFakeMailTransport({ failWith: mailError });
+  const previewTransport = createFakeMailTransport();
+  const config = loadConfig({
+    SUPABASE_URL: 'http://supabase.test',
+    SUPABASE_SERVICE_ROLE_KEY: 'service-key',
+    MAIL_TRANSPORT: 'console',
+    PUBLIC_BASE_URL: 'https://email.test',
+    EMAIL_LINK_SECRET: 'a'.repeat(32),
+    ALERT_WEBHOOK_URL: 'http://alerts.test/hook'
+  });
+  const logger = createCapturingLogger({ runId: 'run-1' });
+  const repository = createUserRepository(supabase, { leaseOwner: 'run-1', leaseTtlMs: config.leaseTtlMs, logger });
+
+  const scheduler = createScheduler({
+    repository,
+    workflowClient: createWorkflowClient({
+      baseUrl: 'http://backend.test',
+      maxRetries: 0,
+      retryBaseDelayMs: 0,
+      retryMaxDelayMs: 0,
+      http: api,
+      logger
+    }),
+    mailer: createAnalysisMailer({
+      transport,
+      senderEmail: 'noreply@lazy-trends.com',
+      links: createEmailLinks({ secret: config.emailLinkSecret, baseUrl: config.publicBaseUrl }),
+      logger
+    }),
+    previewMailer: createAnalysisMailer({ transport: previewTransport, senderEmail: 'noreply@lazy-trends.com', logger }),
+    channelSender: createChannelSender({ http: channels }),
+    reporter: createRunReporter({ repository, config, http: hooks, logger }),
+    config,
+    runId: 'run-1',
+    logger
+  });
+
+  return { scheduler, supabase, api, hooks, channels, transport, previewTransport, logger };
+}
+
+/**
+ * Run one tick at a given time, with the clock set to that time
+ * @param {Object} scheduler - Scheduler under test
+ * @param {string} time - ISO time of the tick
+ * @param {Object} [options] - Extra run options
+ */
+async function tick(scheduler, time, options = {}) {
+  mock.timers.setTime(Date.parse(time));
+  await scheduler.runScheduledWorkflows(options);
+}
+
+describe('createScheduler', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('only processes users whose slot is due in their own time zone', async () => {
+    const newYorkUser = { ...zurichUser, id: 'user-ny', auth_id: 'auth-ny', email: 'bob@example.com', timezone: 'America/New_York' };
+    const { scheduler, api } = setup({ users: [zurichUser, newYorkUser] });
+
+    // 08:00 in Zurich, 02:00 in New York
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+
+    assert.deepEqual(api.calls.map(call => call.body.userId), ['auth-zurich']);
+  });
+
+  it('stores the analysis an hour early and emails it at the user\'s local time', async () => {
+    const { scheduler, supabase, api, transport } = setup();
+
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+
+    const [run] = supabase.tables.workflow_runs;
+    assert.equal(run.status, 'succeeded');
+    assert.equal(run.email_status, 'pending');
+    assert.deepEqual(run.result, analysisResults);
+    assert.equal(supabase.tables.users[0].analysis_ready_for_email, true);
+    assert.equal(supabase.tables.users[0].last_workflow_run, '2026-10-19T06:00:00.000Z');
+    assert.equal(transport.sent.length, 0);
+
+    await tick(scheduler, '2026-10-19T07:00:00Z');
+
+    assert.equal(api.calls.length, 1);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].to.email, 'ann@example.com');
+    assert.match(transport.sent[0].text, /Film the latte art up close/);
+    assert.equal(supabase.tables.workflow_runs[0].email_status, 'sent');
+    assert.equal(supabase.tables.users[0].analysis_ready_for_email, false);
+    assert.equal(supabase.tables.users[0].last_email_sent, '2026-10-19T07:00:00.000Z');
+    assert.match(transport.sent[0].headers['List-Unsubscribe'], /^<https:\/\/email\.test\/unsubscribe\?token=[\w-]+\.[\w-]+>$/);
+    assert.equal(transport.sent[0].headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+    assert.match(transport.sent[0].text, /Unsubscribe: https:\/\/email\.test\/unsubscribe\?token=/);
+
+    // Nothing left to do on the next tick
+    await tick(scheduler, '2026-10-19T07:15:00Z');
+    assert.equal(api.calls.length, 1);
+    assert.equal(transport.sent.length, 1);
+  });
+
+  it('records failed workflows and dead-letters retryable ones', async () => {
+    const { scheduler, supabase } = setup({
+      respond: () => {
+        throw httpError(503);
+      }
+    });
+
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+
+    const [run] = supabase.tables.workflow_runs;
+    assert.equal(run.status, 'failed');
+    assert.equal(run.email_status, 'skipped');
+    assert.deepEqual(run.error_details, { status: 503, data: {}, attempts: 1, retryable: true });
+    assert.equal(supabase.tables.workflow_dead_letters[0].status, 'pending');
+    assert.equal(supabase.tables.users[0].analysis_ready_for_email, false);
+    // Retried from the dead-letter queue rather than by catch-up
+    assert.equal(supabase.tables.users[0].last_workflow_run, '2026-10-19T06:00:00.000Z');
+  });
+
+  it('analyzes again in the email hour instead of sending stale results', async () => {
+    const staleResults = { data: { marketingStrategy: { keyTakeaways: '- Yesterday\'s trend' } } };
+    const { scheduler, supabase, api, transport } = setup({
+      users: [{ ...zurichUser, analysis_ready_for_email: true, last_workflow_run: '2026-10-18T06:00:00.000Z' }],
+      tables: {
+        workflow_runs: [{ id: 'run-old', user_id: 'user-zurich', scheduled_for: '2026-10-18T07:00:00.000Z', status: 'succeeded', email_status: 'pending', result: staleResults }]
+      }
+    });
+
+    await tick(scheduler, '2026-10-19T07:00:00Z', { phase: 'email' });
+
+    assert.equal(api.calls.length, 1);
+    assert.equal(transport.sent.length, 1);
+    assert.match(transport.sent[0].text, /Film the latte art up close/);
+    assert.doesNotMatch(transport.sent[0].text, /Yesterday's trend/);
+
+    const [stale, fresh] = supabase.tables.workflow_runs;
+    assert.equal(stale.email_status, 'skipped');
+    assert.equal(stale.email_error, 'Pending results were prepared for 2026-10-18T07:00:00.000Z, not for 2026-10-19T07:00:00.000Z');
+    assert.equal(fresh.email_status, 'sent');
+    assert.equal(fresh.refresh_reason, stale.email_error);
+  });
+
+  it('does not analyze twice in one tick before sending the notice', async () => {
+    const { scheduler, supabase, api, transport } = setup({
+      respond: () => {
+        throw httpError(503);
+      }
+    });
+
+    // The analysis slot is caught up on in the email slot's tick, and fails again
+    await tick(scheduler, '2026-10-19T07:00:00Z');
+
+    assert.equal(api.calls.length, 1);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(supabase.tables.workflow_runs[0].email_status, 'notice_sent');
+  });
+
+  it('sends a notice, and records why, when the email-hour analysis fails too', async () => {
+    const { scheduler, supabase, api, transport } = setup({
+      respond: () => {
+        throw httpError(503);
+      }
+    });
+
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+    await tick(scheduler, '2026-10-19T07:00:00Z', { phase: 'email' });
+
+    assert.equal(api.calls.length, 2);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].subject, 'We couldn\'t refresh your TikTok trends today');
+    assert.match(transport.sent[0].text, /trend analysis for October 19, 2026\./);
+
+    const refresh = supabase.tables.workflow_runs.at(-1);
+    assert.equal(refresh.status, 'failed');
+    assert.equal(refresh.error_message, 'Request failed with status code 503');
+    assert.equal(refresh.refresh_reason, 'No results were prepared for 2026-10-19T07:00:00.000Z');
+    assert.equal(refresh.email_status, 'notice_sent');
+    assert.equal(supabase.tables.users[0].last_email_sent, '2026-10-19T07:00:00.000Z');
+    assert.equal(supabase.tables.scheduler_runs.at(-1).emails_notice_sent, 1);
+
+    // The notice serves the slot, so its analysis isn't caught up on either
+    await tick(scheduler, '2026-10-19T07:15:00Z');
+
+    assert.equal(api.calls.length, 2);
+    assert.equal(transport.sent.length, 1);
+  });
+
+  it('carries on with other users when the database fails for one of them', async () => {
+    const berlinUser = { ...zurichUser, id: 'user-berlin', auth_id: 'auth-berlin', email: 'cem@example.com', timezone: 'Europe/Berlin' };
+    const { scheduler, supabase, api } = setup({ users: [zurichUser, berlinUser] });
+    supabase.failNext('workflow_runs', 'insert');
+
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+
+    assert.equal(api.calls.length, 1);
+    assert.equal(supabase.tables.workflow_runs.length, 1);
+    assert.equal(supabase.tables.users.filter(user => user.analysis_ready_for_email).length, 1);
+  });
+
+  it('does not dead-letter validation errors', async () => {
+    const { scheduler, supabase } = setup({
+      respond: () => {
+        throw httpError(400, { error: 'Invalid business description' });
+      }
+    });
+
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+
+    assert.equal(supabase.tables.workflow_runs[0].status, 'failed');
+    assert.equal(supabase.tables.workflow_dead_letters.length, 0);
+  });
+
+  it('sends a request that failed validation only once', async () => {
+    const { scheduler, supabase, api, transport } = setup({
+      respond: () => {
+        throw httpError(400, { error: 'Invalid business description' });
+      }
+    });
+
+    for (const time of ['06:00', '06:15', '06:30', '06:45', '07:00', '07:15']) {
+      await tick(scheduler, `2026-10-19T${time}:00Z`);
+    }
+
+    assert.equal(api.calls.length, 1);
+    assert.equal(supabase.tables.workflow_runs.length, 1);
+    // The email hour doesn't repeat it either, and tells the user instead
+    assert.equal(supabase.tables.workflow_runs[0].email_status, 'notice_sent');
+    assert.equal(transport.sent.length, 1);
+  });
+
+  it('retries a dead-lettered workflow on a later tick and resolves it', async () => {
+    let failures = 1;
+    const { scheduler, supabase, api } = setup({
+      respond: () => {
+        if (failures-- > 0) {
+          throw httpError(502);
+        }
+        return analysisResults;
+      }
+    });
+
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+    await tick(scheduler, '2026-10-19T06:15:00Z');
+
+    assert.equal(api.calls.length, 2);
+    assert.equal(supabase.tables.workflow_dead_letters[0].status, 'resolved');
+    assert.equal(supabase.tables.users[0].analysis_ready_for_email, true);
+  });
+
+  it('runs the analysis with the plan\'s options and records its usage', async () => {
+    const { scheduler, supabase, api } = setup({ users: [{ ...zurichUser, plan: 'business', query_count: 5, excluded_topics: ['Politics'] }] });
+
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+
+    assert.equal(api.calls[0].body.videosPerQuery, 10);
+    assert.equal(api.calls[0].body.queryCount, 5);
+    assert.deepEqual(api.calls[0].body.excludedTopics, ['Politics']);
+    const [run] = supabase.tables.workflow_runs;
+    assert.equal(run.plan, 'business');
+    assert.deepEqual(run.workflow_options, { videosPerQuery: 10, queryCount: 5, region: null, excludedTopics: ['Politics'] });
+    assert.equal(run.queries_analyzed, 1);
+    assert.equal(run.videos_analyzed, 3);
+  });
+
+  it('skips the analysis without calling the backend once the monthly quota is used up', async () => {
+    const earlierRuns = Array.from({ length: 8 }, (_, day) => ({
+      id: `run-${day}`,
+      user_id: 'user-zurich',
+      scheduled_for: `2026-10-0${day + 1}T07:00:00.000Z`,
+      started_at: `2026-10-0${day + 1}T06:00:00.000Z`,
+      status: 'succeeded',
+      email_status: 'sent'
+    }));
+    // Last month's runs don't count
+    earlierRuns.push({ ...earlierRuns[0], id: 'run-september', started_at: '2026-09-30T06:00:00.000Z' });
+    const { scheduler, supabase, api } = setup({ tables: { workflow_runs: earlierRuns } });
+
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+
+    assert.equal(api.calls.length, 0);
+    const run = supabase.tables.workflow_runs.at(-1);
+    assert.equal(run.status, 'skipped');
+    assert.equal(run.error_message, 'Monthly run quota reached (8 of 8)');
+    assert.equal(supabase.tables.users[0].last_workflow_run, '2026-10-19T06:00:00.000Z');
+    assert.deepEqual(supabase.tables.scheduler_runs[0].skip_reasons.analysis, { quota_exceeded: 1 });
+  });
+
+  it('uses the quota period of the simulated time', async () => {
+    const earlierRuns = Array.from({ length: 8 }, (_, day) => ({
+      id: `run-${day}`,
+      user_id: 'user-zurich',
+      scheduled_for: `2026-10-0${day + 1}T07:00:00.000Z`,
+      started_at: `2026-10-0${day + 1}T06:00:00.000Z`,
+      status: 'succeeded',
+      email_status: 'sent'
+    }));
+    const { scheduler, api } = setup({ tables: { workflow_runs: earlierRuns } });
+
+    // Still October on the clock, but November at the simulated time, 08:00 in Zurich
+    await tick(scheduler, '2026-10-19T06:00:00Z', { at: new Date('2026-11-02T07:00:00Z'), phase: 'analysis' });
+
+    assert.equal(api.calls.length, 1);
+  });
+
+  it('keeps the email-ready flag when sending fails', async () => {
+    const { scheduler, supabase } = setup({
+      users: [{ ...zurichUser, analysis_ready_for_email: true, last_workflow_run: '2026-10-19T06:00:00.000Z' }],
+      tables: {
+        workflow_runs: [{ id: 'run-a', user_id: 'user-zurich', scheduled_for: '2026-10-19T07:00:00.000Z', status: 'succeeded', email_status: 'pending', result: analysisResults }]
+      },
+      mailError: new Error('Brevo is down')
+    });
+
+    await tick(scheduler, '2026-10-19T07:00:00Z');
+
+    assert.equal(supabase.tables.workflow_runs[0].email_status, 'failed');
+    assert.equal(supabase.tables.workflow_runs[0].email_error, 'Brevo is down');
+    assert.equal(supabase.tables.users[0].analysis_ready_for_email, true);
+    assert.equal(supabase.tables.users[0].last_email_sent, null);
+  });
+
+  it('compares the email with the last report the user received', async () => {
+    const previousResults = { data: { marketingStrategy: { keyTakeaways: '- Post daily' } } };
+    const { scheduler, transport } = setup({
+      users: [{ ...zurichUser, analysis_ready_for_email: true, last_workflow_run: '2026-10-19T06:00:00.000Z' }],
+      tables: {
+        workflow_runs: [
+          { id: 'run-old', user_id: 'user-zurich', scheduled_for: '2026-10-17T07:00:00.000Z', status: 'succeeded', email_status: 'sent', result: { data: {} } },
+          { id: 'run-prev', user_id: 'user-zurich', scheduled_for: '2026-10-18T07:00:00.000Z', status: 'succeeded', email_status: 'sent', result: previousResults },
+          { id: 'run-a', user_id: 'user-zurich', scheduled_for: '2026-10-19T07:00:00.000Z', status: 'succeeded', email_status: 'pending', result: analysisResults }
+        ]
+      }
+    });
+
+    await tick(scheduler, '2026-10-19T07:00:00Z');
+
+    assert.match(transport.sent[0].text, /^Compared with your report for October 18, 2026\.$/m);
+    assert.match(transport.sent[0].text, /^\+ Film the latte art up close$/m);
+    assert.match(transport.sent[0].text, /^- Post daily$/m);
+  });
+
+  it('does not email suppressed addresses', async () => {
+    const { scheduler, supabase, transport } = setup({
+      users: [{ ...zurichUser, email: 'Ann@Example.com', analysis_ready_for_email: true, last_workflow_run: '2026-10-19T06:00:00.000Z' }],
+      tables: {
+        workflow_runs: [{ id: 'run-a', user_id: 'user-zurich', scheduled_for: '2026-10-19T07:00:00.000Z', status: 'succeeded', email_status: 'pending', result: analysisResults }],
+        email_suppressions: [{ email: 'ann@example.com', reason: 'hard_bounce', provider: 'brevo' }]
+      }
+    });
+
+    await tick(scheduler, '2026-10-19T07:00:00Z');
+    await tick(scheduler, '2026-10-19T07:15:00Z');
+
+    assert.equal(transport.sent.length, 0);
+    assert.deepEqual(supabase.tables.scheduler_runs[0].skip_reasons.email, { suppressed: 1 });
+    // The slot counts as served, so it isn't planned again on the next tick
+    assert.deepEqual(supabase.tables.scheduler_runs[1].skip_reasons.email, { already_done: 1 });
+  });
+
+  it('posts the report to each ready channel and keeps failed channels ready', async () => {
+    const { scheduler, supabase, channels, transport } = setup({
+      tables: {
+        delivery_channels: [
+          { id: 'ch-slack', user_id: 'user-zurich', type: 'slack', url: 'https://hooks.slack.test/a', enabled: true, analysis_ready: false },
+          { id: 'ch-hook', user_id: 'user-zurich', type: 'webhook', url: 'https://down.test/hook', secret: 's3cret', enabled: true, analysis_ready: false },
+          { id: 'ch-off', user_id: 'user-zurich', type: 'discord', url: 'https://discord.test/a', enabled: false, analysis_ready: false }
+        ]
+      },
+      channelRespond: (body, call) => {
+        if (call.url.startsWith('https://down.test')) {
+          throw httpError(502);
+        }
+        return 'ok';
+      }
+    });
+
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+
+    assert.deepEqual(supabase.tables.delivery_channels.map(channel => channel.analysis_ready), [true, true, false]);
+
+    await tick(scheduler, '2026-10-19T07:00:00Z');
+
+    assert.equal(transport.sent.length, 1);
+    assert.deepEqual(channels.calls.map(call => call.url), ['https://hooks.slack.test/a', 'https://down.test/hook']);
+    assert.match(JSON.stringify(channels.calls[0].body.blocks), /Film the latte art up close/);
+
+    const [slack, hook] = supabase.tables.delivery_channels;
+    const [run] = supabase.tables.workflow_runs;
+    assert.equal(slack.analysis_ready, false);
+    assert.equal(slack.last_delivered_run_id, run.id);
+    assert.equal(slack.last_error, null);
+    assert.equal(hook.analysis_ready, true);
+    assert.equal(hook.last_error, 'Request failed with status code 502');
+
+    const [summary] = supabase.tables.scheduler_runs.slice(-1);
+    assert.deepEqual(summary.channel_deliveries, { slack: { sent: 1, failed: 0 }, webhook: { sent: 0, failed: 1 } });
+  });
+
+  it('still posts to channels when the email address is suppressed', async () => {
+    const { scheduler, channels, transport } = setup({
+      users: [{ ...zurichUser, analysis_ready_for_email: true, last_workflow_run: '2026-10-19T06:00:00.000Z' }],
+      tables: {
+        workflow_runs: [{ id: 'run-a', user_id: 'user-zurich', scheduled_for: '2026-10-19T07:00:00.000Z', status: 'succeeded', email_status: 'pending', result: analysisResults }],
+        email_suppressions: [{ email: 'ann@example.com', reason: 'complaint', provider: 'brevo' }],
+        delivery_channels: [{ id: 'ch-discord', user_id: 'user-zurich', type: 'discord', url: 'https://discord.test/a', enabled: true, analysis_ready: true }]
+      }
+    });
+
+    await tick(scheduler, '2026-10-19T07:00:00Z');
+
+    assert.equal(transport.sent.length, 0);
+    assert.equal(channels.calls.length, 1);
+    assert.equal(channels.calls[0].body.embeds[0].title, 'Your TikTok Analysis Results');
+  });
+
+  it('posts to channels of users who opted out of email', async () => {
+    const { scheduler, supabase, api, channels, transport } = setup({
+      users: [{ ...zurichUser, email_notifications: false }, { ...zurichUser, id: 'user-other', email: 'bob@example.com', email_notifications: false }],
+      tables: {
+        delivery_channels: [{ id: 'ch-slack', user_id: 'user-zurich', type: 'slack', url: 'https://hooks.slack.test/a', enabled: true, analysis_ready: false }]
+      }
+    });
+
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+    await tick(scheduler, '2026-10-19T07:00:00Z');
+    await tick(scheduler, '2026-10-19T07:15:00Z');
+
+    assert.equal(api.calls.length, 1);
+    assert.equal(transport.sent.length, 0);
+    assert.equal(channels.calls.length, 1);
+    assert.notEqual(supabase.tables.users[0].last_email_sent, null);
+
+    // Users without email or channels aren't loaded, and a served slot isn't planned again
+    const [analysisTick, emailTick, laterTick] = supabase.tables.scheduler_runs;
+    assert.equal(analysisTick.users_considered, 1);
+    assert.deepEqual(emailTick.skip_reasons.email, { opted_out: 1 });
+    assert.deepEqual(laterTick.skip_reasons.email, { already_done: 1 });
+  });
+
+  it('compares channel posts with the last report the channel got', async () => {
+    const hashtagsByDay = ['#coffee #latte', '#coffee #flatwhite'];
+    const { scheduler, channels } = setup({
+      users: [{ ...zurichUser, email_notifications: false }],
+      tables: {
+        delivery_channels: [{ id: 'ch-hook', user_id: 'user-zurich', type: 'webhook', url: 'https://hooks.test/trends', secret: 's3cret', enabled: true, analysis_ready: false }]
+      },
+      respond: () => ({
+        success: true,
+        data: { searchQueries: ['coffee zurich'], videosCount: 3, marketingStrategy: { hashtagStrategy: hashtagsByDay.shift() } }
+      })
+    });
+
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+    await tick(scheduler, '2026-10-19T07:00:00Z');
+    await tick(scheduler, '2026-10-20T06:00:00Z');
+    await tick(scheduler, '2026-10-20T07:00:00Z');
+
+    const [first, second] = channels.calls.map(call => JSON.parse(call.body));
+    assert.equal(channels.calls.length, 2);
+    assert.equal(first.whatsNew, null);
+    assert.equal(second.whatsNew.since, '2026-10-19T07:00:00.000Z');
+    assert.deepEqual(second.whatsNew.hashtags, { added: ['#flatwhite'], dropped: ['#latte'] });
+  });
+
+  it('skips channels when there are no results to resend', async () => {
+    const { scheduler, supabase, channels } = setup({
+      users: [{ ...zurichUser, business_description: null }],
+      tables: {
+        delivery_channels: [{ id: 'ch-slack', user_id: 'user-zurich', type: 'slack', url: 'https://hooks.slack.test/a', enabled: true, analysis_ready: false }]
+      }
+    });
+
+    await tick(scheduler, '2026-10-19T12:00:00Z', { user: 'ann@example.com' });
+
+    assert.equal(channels.calls.length, 0);
+    assert.deepEqual(supabase.tables.scheduler_runs[0].channel_deliveries, {});
+    assert.equal(supabase.tables.scheduler_runs[0].emails_failed, 0);
+  });
+
+  it('does not email users without a flagged analysis', async () => {
+    const { scheduler, transport } = setup({
+      users: [{ ...zurichUser, last_workflow_run: '2026-10-19T06:00:00.000Z' }],
+      tables: {
+        workflow_runs: [{ id: 'run-a', user_id: 'user-zurich', scheduled_for: '2026-10-19T07:00:00.000Z', status: 'succeeded', email_status: 'pending', result: analysisResults }]
+      }
+    });
+
+    await tick(scheduler, '2026-10-19T07:00:00Z');
+
+    assert.equal(transport.sent.length, 0);
+  });
+
+  it('skips users whose lease is held by another invocation', async () => {
+    const { scheduler, api } = setup({
+      tables: { workflow_leases: [{ user_id: 'user-zurich', phase: 'analysis', owner: 'run-2' }] }
+    });
+
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+
+    assert.equal(api.calls.length, 0);
+  });
+
+  it('logs JSON with a per-user correlation ID that is also sent to the backend', async () => {
+    const { scheduler, api, logger } = setup();
+
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+
+    const correlationId = api.calls[0].options.headers['X-Correlation-Id'];
+    const userEntries = logger.entries.filter(entry => entry.correlationId === correlationId);
+    assert.ok(userEntries.some(entry => entry.msg === 'Analysis stored'));
+    assert.ok(userEntries.every(entry => entry.runId === 'run-1' && /^[0-9a-f]{12}$/.test(entry.user)));
+
+    const output = JSON.stringify(logger.entries);
+    assert.doesNotMatch(output, /ann@example\.com|user-zurich|auth-zurich|Coffee shop|latte art/);
+  });
+
+  it('summarizes each run in the database', async () => {
+    const { scheduler, supabase, hooks } = setup();
+
+    mock.timers.setTime(Date.parse('2026-10-19T06:00:00Z'));
+    const summary = await scheduler.runScheduledWorkflows();
+
+    assert.equal(summary.status, 'succeeded');
+    assert.equal(summary.usersConsidered, 1);
+    assert.deepEqual(summary.analysis, { succeeded: 1, failed: 0, skipped: 0, deferred: 0 });
+    assert.deepEqual(summary.email, { sent: 0, notice_sent: 0, failed: 0, skipped: 1, deferred: 0 });
+    // Yesterday's email slot is past the catch-up window and today's hasn't arrived
+    assert.deepEqual(summary.skipReasons, { analysis: {}, email: { missed: 1 } });
+
+    const [row] = supabase.tables.scheduler_runs;
+    assert.equal(row.id, 'run-1');
+    assert.equal(row.status, 'succeeded');
+    assert.equal(row.analyses_succeeded, 1);
+    assert.equal(row.emails_skipped, 1);
+    assert.equal(hooks.calls.length, 0);
+  });
+
+  it('alerts when too many steps fail', async () => {
+    const users = ['a', 'b', 'c'].map(name => ({ ...zurichUser, id: `user-${name}`, auth_id: `auth-${name}`, email: `${name}@example.com` }));
+    const { scheduler, hooks } = setup({
+      users,
+      respond: () => {
+        throw httpError(503);
+      }
+    });
+
+    await tick(scheduler, '2026-10-19T06:00:00Z');
+
+    assert.equal(hooks.calls.length, 1);
+    assert.equal(hooks.calls[0].url, 'http://alerts.test/hook');
+    assert.match(hooks.calls[0].body.text, /3 of 3 steps failed/);
+    assert.equal(hooks.calls[0].options.timeout, 10000);
+  });
+
+  it('reports and rethrows errors that stop the whole run', async () => {
+    const { scheduler, supabase, hooks } = setup();
+    supabase.failNext('users', 'select', new Error('Invalid API key'));
+
+    await assert.rejects(tick(scheduler, '2026-10-19T06:00:00Z'), /Invalid API key/);
+
+    assert.equal(supabase.tables.scheduler_runs[0].status, 'failed');
+    assert.equal(supabase.tables.scheduler_runs[0].error_message, 'Invalid API key');
+    assert.match(hooks.calls[0].body.text, /Run failed: Invalid API key/);
+  });
+
+  it('changes nothing in a dry run', async () => {
+    const { scheduler, supabase, api, transport } = setup();
+    const before = structuredClone(supabase.tables);
+
+    await tick(scheduler, '2026-10-19T06:00:00Z', { dryRun: true });
+
+    assert.equal(api.calls.length, 0);
+    assert.equal(transport.sent.length, 0);
+    assert.deepEqual(supabase.tables, before);
+  });
+
+  it('previews a single user\'s email without marking it as sent', async () => {
+    const { scheduler, supabase, transport, previewTransport } = setup({
+      users: [{ ...zurichUser, last_email_sent: '2026-10-19T07:00:00.000Z' }],
+      tables: {
+        workflow_runs: [{ id: 'run-a', user_id: 'user-zurich', scheduled_for: '2026-10-19T07:00:00.000Z', status: 'succeeded', email_status: 'sent', result: analysisResults }]
+      }
+    });
+
+    await tick(scheduler, '2026-10-19T12:00:00Z', { user: 'ann@example.com', phase: 'email', preview: true });
+
+    assert.equal(transport.sent.length, 0);
+    assert.equal(previewTransport.sent.length, 1);
+    assert.equal(supabase.tables.users[0].last_email_sent, '2026-10-19T07:00:00.000Z');
+  });
+});
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { parseMarketingStrategy } from '../lib/strategy-parser.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'marketing-strategy');
+
+describe('parseMarketingStrategy', () => {
+  describe('fixtures', () => {
+    for (const file of fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.json'))) {
+      const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+
+      it(`parses ${path.basename(file, '.json')}: ${fixture.description}`, () => {
+        assert.deepEqual(parseMarketingStrategy(fixture.marketingStrategy), fixture.expected);
+      });
+    }
+  });
+
+  it('returns an empty model for a missing strategy', () => {
+    const parsed = parseMarketingStrategy(undefined);
+    assert.equal(parsed.observations, null);
+    assert.equal(parsed.hashtagStrategy, null);
+    assert.deepEqual(parsed.unparsed, []);
+  });
+
+  it('accepts a JSON-encoded strategy', () => {
+    const parsed = parseMarketingStrategy(JSON.stringify({ keyTakeaways: '- One\n- Two' }));
+    assert.deepEqual(parsed.keyTakeaways, { blocks: [{ items: ['One', 'Two'] }] });
+  });
+
+  it('treats a plain string as raw content', () => {
+    const parsed = parseMarketingStrategy('Just post more videos.');
+    assert.deepEqual(parsed.observations, { blocks: [{ lines: ['Just post more videos.'] }] });
+  });
+
+  it('keeps prose that surrounds a list in order', () => {
+    const parsed = parseMarketingStrategy({
+      observations: 'Intro line\n- First\n- Second\n\nClosing thought'
+    });
+    assert.deepEqual(parsed.observations.blocks, [
+      { lines: ['Intro line'] },
+      { items: ['First', 'Second'] },
+      { lines: ['Closing thought'] }
+    ]);
+  });
+
+  it('does not mistake a hashtag line for a markdown heading', () => {
+    const parsed = parseMarketingStrategy({ hashtagStrategy: '#coffee #latte' });
+    assert.deepEqual(parsed.hashtagStrategy, { groups: [{ title: null, tags: ['#coffee', '#latte'] }] });
+  });
+
+  it('prefers separate fields over sections found in rawContent', () => {
+    const parsed = parseMarketingStrategy({
+      keyTakeaways: '- From the field',
+      rawContent: 'Key Takeaways:\n- From raw content\n\nPosting Frequency:\nWeekly'
+    });
+    assert.deepEqual(parsed.keyTakeaways.blocks, [{ items: ['From the field'] }]);
+    assert.deepEqual(parsed.postingFrequency.blocks, [{ lines: ['Weekly'] }]);
+  });
+
+  it('moves the concluding sentence out of the posting frequency', () => {
+    const parsed = parseMarketingStrategy({ postingFrequency: 'This strategy balances reach and effort.' });
+    assert.equal(parsed.postingFrequency, null);
+    assert.equal(parsed.closingNote, 'This strategy balances reach and effort.');
+  });
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseMarketingStrategy } from '../lib/strategy-parser.js';
+import { diffTrends } from '../lib/trend-diff.js';
+
+/**
+ * Build the diff input for one report
+ * @param {Object} marketingStrategy - marketingStrategy payload
+ * @param {Array<Object>} [videos] - Analyzed videos
+ * @returns {{strategy: Object, data: Object}}
+ */
+function report(marketingStrategy, videos) {
+  return { strategy: parseMarketingStrategy(marketingStrategy), data: { marketingStrategy, videos } };
+}
+
+describe('diffTrends', () => {
+  it('lists new and dropped hashtags, ignoring case and the leading #', () => {
+    const diff = diffTrends(
+      report({ hashtagStrategy: '- #Coffee\n- #latteart\n- #zurich' }),
+      report({ hashtagStrategy: '- #coffee\n- #barista' })
+    );
+
+    assert.deepEqual(diff.hashtags, { added: ['#latteart', '#zurich'], dropped: ['#barista'] });
+    assert.equal(diff.hasChanges, true);
+  });
+
+  it('lists new content themes and changed key takeaways', () => {
+    const diff = diffTrends(
+      report({ contentThemes: ['Latte art', 'Morning rush'], keyTakeaways: '- Hooks in the first second\n- Use trending audio' }),
+      report({ contentThemes: ['latte  art'], keyTakeaways: '- Hooks in the first second\n- Post daily' })
+    );
+
+    assert.deepEqual(diff.newThemes, ['Morning rush']);
+    assert.deepEqual(diff.takeaways, { added: ['Use trending audio'], dropped: ['Post daily'] });
+  });
+
+  it('highlights videos not in the previous report', () => {
+    const diff = diffTrends(
+      report({}, [{ id: 'v1', title: 'Pour' }, { url: 'https://tiktok.test/v2', description: 'Foam' }, { id: 'v3' }]),
+      report({}, [{ id: 'v1', title: 'Pour' }])
+    );
+
+    assert.deepEqual(diff.newVideos, [
+      { title: 'Foam', url: 'https://tiktok.test/v2' },
+      { title: 'v3', url: null }
+    ]);
+  });
+
+  it('drops video links that are not http(s) URLs', () => {
+    const diff = diffTrends(
+      report({}, [
+        { id: 'v1', title: 'Script', url: 'javascript:alert(1)' },
+        { id: 'v2', title: 'Data', webVideoUrl: 'data:text/html,<b>hi</b>' },
+        { id: 'v3', title: 'Relative', url: '/videos/v3' },
+        { id: 'v4', title: 'Web', url: 'http://tiktok.test/v4' }
+      ]),
+      report({}, [])
+    );
+
+    assert.deepEqual(diff.newVideos.map(video => video.url), [null, null, null, 'http://tiktok.test/v4']);
+  });
+
+  it('does not call every video new when the previous result has no video list', () => {
+    const diff = diffTrends(report({}, [{ id: 'v1' }]), report({}));
+
+    assert.deepEqual(diff.newVideos, []);
+    assert.equal(diff.hasChanges, false);
+  });
+});
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { runWorkerPool } from '../lib/worker-pool.js';
+
+describe('runWorkerPool', () => {
+  it('never runs more items at once than the concurrency', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const worker = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    };
+
+    const outcome = await runWorkerPool([1, 2, 3, 4, 5], worker, { concurrency: 2, itemTimeoutMs: 1000, deadline: Date.now() + 1000 });
+
+    assert.equal(maxRunning, 2);
+    assert.deepEqual(outcome.completed.sort(), [1, 2, 3, 4, 5]);
+  });
+
+  it('aborts items that run past their timeout', async () => {
+    let abortReason;
+    const worker = (item, signal) => new Promise(() => {
+      signal.addEventListener('abort', () => {
+        abortReason = signal.reason;
+      });
+    });
+
+    const errors = [];
+    const onError = (item, error) => errors.push(error);
+    const outcome = await runWorkerPool([1], worker, { concurrency: 1, itemTimeoutMs: 10, abortGraceMs: 10, deadline: Date.now() + 1000, onError });
+
+    assert.deepEqual(outcome.failed, [1]);
+    assert.equal(errors[0], abortReason);
+    assert.match(abortReason.message, /Timed out after 10ms/);
+    assert.equal(abortReason.retryable, true);
+  });
+
+  it('waits for a timed-out worker to stop before starting the next item', async () => {
+    const events = [];
+    const worker = async item => {
+      events.push(`start ${item}`);
+      if (item === 1) {
+        // Ignores the abort signal and keeps running past its timeout
+        await new Promise(resolve => setTimeout(resolve, 40));
+      }
+      events.push(`end ${item}`);
+    };
+
+    const onError = item => events.push(`failed ${item}`);
+    const outcome = await runWorkerPool([1, 2], worker, { concurrency: 1, itemTimeoutMs: 10, abortGraceMs: 1000, deadline: Date.now() + 1000, onError });
+
+    assert.deepEqual(events, ['start 1', 'end 1', 'failed 1', 'start 2', 'end 2']);
+    assert.deepEqual(outcome.failed, [1]);
+    assert.deepEqual(outcome.completed, [2]);
+  });
+
+  it('moves on once the abort grace period has passed', async () => {
+    const worker = item => (item === 1 ? new Promise(() => {}) : Promise.resolve());
+
+    const outcome = await runWorkerPool([1, 2], worker, { concurrency: 1, itemTimeoutMs: 10, abortGraceMs: 10, deadline: Date.now() + 1000 });
+
+    assert.deepEqual(outcome.failed, [1]);
+    assert.deepEqual(outcome.completed, [2]);
+  });
+
+  it('defers items that have not started by the deadline', async () => {
+    const worker = () => new Promise(resolve => setTimeout(resolve, 20));
+
+    const outcome = await runWorkerPool([1, 2, 3], worker, { concurrency: 1, itemTimeoutMs: 1000, deadline: Date.now() + 10 });
+
+    assert.deepEqual(outcome.completed, [1]);
+    assert.deepEqual(outcome.deferred, [2, 3]);
+  });
+});
@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createWorkflowClient, describeWorkflowError } from '../lib/workflow-client.js';
+import { createCapturingLogger, createFakeWorkflowApi, httpError } from './helpers/fakes.js';
+
+const user = { id: 'u1', auth_id: 'auth-1', email: 'ann@example.com', business_description: 'Coffee shop in Zurich' };
+
+function createClient(http, waits = []) {
+  return createWorkflowClient({
+    baseUrl: 'http://backend.test',
+    maxRetries: 2,
+    retryBaseDelayMs: 100,
+    retryMaxDelayMs: 1000,
+    http,
+    logger: createCapturingLogger(),
+    wait: async ms => {
+      waits.push(ms);
+    }
+  });
+}
+
+describe('createWorkflowClient', () => {
+  it('posts the user\'s business description and auth_id', async () => {
+    const api = createFakeWorkflowApi(() => ({ success: true }));
+
+    assert.deepEqual(await createClient(api).runWorkflow(user), { success: true });
+    assert.equal(api.calls[0].url, '/api/complete-workflow');
+    assert.deepEqual(api.calls[0].body, { businessDescription: 'Coffee shop in Zurich', userId: 'auth-1', videosPerQuery: 3, language: 'en' });
+  });
+
+  it('asks for the strategy in the user\'s language', async () => {
+    const api = createFakeWorkflowApi(() => ({ success: true }));
+
+    await createClient(api).runWorkflow({ ...user, locale: 'fr-CA' });
+    assert.equal(api.calls[0].body.language, 'fr');
+  });
+
+  it('sends the workflow options that are set', async () => {
+    const api = createFakeWorkflowApi(() => ({ success: true }));
+
+    await createClient(api).runWorkflow(user, {
+      workflowOptions: { videosPerQuery: 10, queryCount: 8, region: 'CH', excludedTopics: [] }
+    });
+    assert.deepEqual(api.calls[0].body, {
+      businessDescription: 'Coffee shop in Zurich',
+      userId: 'auth-1',
+      videosPerQuery: 10,
+      queryCount: 8,
+      region: 'CH',
+      language: 'en'
+    });
+  });
+
+  it('sends the correlation ID as a header', async () => {
+    const api = createFakeWorkflowApi(() => ({ success: true }));
+
+    await createClient(api).runWorkflow(user, { correlationId: 'corr-1' });
+    assert.equal(api.calls[0].options.headers['X-Correlation-Id'], 'corr-1');
+  });
+
+  it('counts any backend response below 500 as healthy', async () => {
+    const statuses = [404, 503];
+    const http = { get: async () => ({ status: statuses.shift() }) };
+
+    assert.equal(await createClient(http).checkHealth(), 'HTTP 404');
+    await assert.rejects(createClient(http).checkHealth(), /Backend at http:\/\/backend.test responded with status 503/);
+  });
+
+  it('skips users without a business description', async () => {
+    const api = createFakeWorkflowApi(() => ({}));
+
+    assert.equal(await createClient(api).runWorkflow({ ...user, business_description: '' }), null);
+    assert.equal(api.calls.length, 0);
+  });
+
+  it('retries 5xx responses and honours Retry-After', async () => {
+    const waits = [];
+    const api = createFakeWorkflowApi(() => {
+      if (api.calls.length === 1) {
+        throw httpError(503);
+      }
+      if (api.calls.length === 2) {
+        throw httpError(429, {}, { 'retry-after': '0.5' });
+      }
+      return { success: true };
+    });
+
+    assert.deepEqual(await createClient(api, waits).runWorkflow(user), { success: true });
+    assert.equal(api.calls.length, 3);
+    assert.ok(waits[0] >= 0 && waits[0] <= 100);
+    assert.equal(waits[1], 500);
+  });
+
+  it('does not retry validation errors', async () => {
+    const api = createFakeWorkflowApi(() => {
+      throw httpError(400, { error: 'Invalid business description' });
+    });
+
+    const error = await createClient(api).runWorkflow(user).catch(caught => caught);
+    assert.equal(api.calls.length, 1);
+    assert.equal(error.retryable, false);
+    assert.deepEqual(describeWorkflowError(error), { status: 400, data: { error: 'Invalid business description' }, attempts: 1, retryable: false });
+  });
+
+  it('gives up after the configured retries', async () => {
+    const api = createFakeWorkflowApi(() => {
+      throw httpError(502);
+    });
+
+    const error = await createClient(api).runWorkflow(user).catch(caught => caught);
+    assert.equal(api.calls.length, 3);
+    assert.equal(error.attempts, 3);
+    assert.equal(error.retryable, true);
+  });
+});
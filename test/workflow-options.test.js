@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getQuotaPeriodStart, resolveWorkflowOptions } from '../lib/workflow-options.js';
+
+const plans = new Map([
+  ['free', { id: 'free', videos_per_query: 3, query_count: 3, monthly_run_quota: 8 }],
+  ['business', { id: 'business', videos_per_query: 10, query_count: 10, monthly_run_quota: null }]
+]);
+
+describe('resolveWorkflowOptions', () => {
+  it('uses the plan\'s limits by default', () => {
+    const { plan, options, warnings } = resolveWorkflowOptions({ plan: 'business' }, plans);
+
+    assert.equal(plan.id, 'business');
+    assert.deepEqual(options, { videosPerQuery: 10, queryCount: 10, region: null, excludedTopics: [] });
+    assert.deepEqual(warnings, []);
+  });
+
+  it('lets users lower the limits but not raise them', () => {
+    const { options, warnings } = resolveWorkflowOptions({ plan: 'free', videos_per_query: 2, query_count: 20 }, plans);
+
+    assert.equal(options.videosPerQuery, 2);
+    assert.equal(options.queryCount, 3);
+    assert.deepEqual(warnings, ['query_count 20 is above the plan\'s limit. Using 3.']);
+  });
+
+  it('falls back to the free plan for unknown plans', () => {
+    const { plan, warnings } = resolveWorkflowOptions({ plan: 'gold' }, plans);
+
+    assert.equal(plan.id, 'free');
+    assert.match(warnings[0], /Unknown plan 'gold'/);
+    assert.throws(() => resolveWorkflowOptions({}, new Map()), /Plan 'free' is missing/);
+  });
+
+  it('normalizes the region and excluded topics', () => {
+    const { options, warnings } = resolveWorkflowOptions({ region: ' ch ', excluded_topics: ['Politics', ' politics ', '', 'Gambling'] }, plans);
+
+    assert.equal(options.region, 'CH');
+    assert.deepEqual(options.excludedTopics, ['Politics', 'Gambling']);
+    assert.deepEqual(warnings, []);
+    assert.equal(resolveWorkflowOptions({ region: 'Switzerland' }, plans).options.region, null);
+  });
+});
+
+describe('getQuotaPeriodStart', () => {
+  it('starts quota periods at the beginning of the UTC month', () => {
+    assert.equal(getQuotaPeriodStart(new Date('2026-10-19T07:00:00Z')).toISOString(), '2026-10-01T00:00:00.000Z');
+  });
+});
@@ -33,4 +33,126 @@ BEGIN
         ALTER TABLE users
         ADD COLUMN analysis_ready_for_email BOOLEAN DEFAULT FALSE;
     END IF;
+
+    -- Add last_email_sent column
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'users'
+        AND column_name = 'last_email_sent'
+    ) THEN
+        ALTER TABLE users
+        ADD COLUMN last_email_sent TIMESTAMP WITH TIME ZONE;
+    END IF;
+
+    -- Add email_time_minute column
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'users'
+        AND column_name = 'email_time_minute'
+    ) THEN
+        ALTER TABLE users
+        ADD COLUMN email_time_minute INTEGER DEFAULT 0;
+    END IF;
+
+    -- Add schedule_frequency column: how often reports are sent
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'users'
+        AND column_name = 'schedule_frequency'
+    ) THEN
+        ALTER TABLE users
+        ADD COLUMN schedule_frequency TEXT NOT NULL DEFAULT 'daily'
+            CHECK (schedule_frequency IN ('daily', 'weekdays', 'weekly', 'custom'));
+    END IF;
+
+    -- Add schedule_days column: ISO weekdays (1 = Monday ... 7 = Sunday) for weekly and custom schedules
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'users'
+        AND column_name = 'schedule_days'
+    ) THEN
+        ALTER TABLE users
+        ADD COLUMN schedule_days SMALLINT[];
+    END IF;
+
+    -- Add schedule_paused_until column: local date on which reports resume
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'users'
+        AND column_name = 'schedule_paused_until'
+    ) THEN
+        ALTER TABLE users
+        ADD COLUMN schedule_paused_until DATE;
+    END IF;
+
+    -- Add locale column: BCP 47 tag (e.g. 'de' or 'fr-CA') emails are written in, English if unset or unsupported
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'users'
+        AND column_name = 'locale'
+    ) THEN
+        ALTER TABLE users
+        ADD COLUMN locale TEXT;
+    END IF;
+
+    -- Add plan column: row of the plans table that sets workflow limits and the monthly quota
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'users'
+        AND column_name = 'plan'
+    ) THEN
+        ALTER TABLE users
+        ADD COLUMN plan TEXT NOT NULL DEFAULT 'free';
+    END IF;
+
+    -- Add videos_per_query column: lowers the plan's videos per search query
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'users'
+        AND column_name = 'videos_per_query'
+    ) THEN
+        ALTER TABLE users
+        ADD COLUMN videos_per_query SMALLINT;
+    END IF;
+
+    -- Add query_count column: lowers the plan's number of search queries
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'users'
+        AND column_name = 'query_count'
+    ) THEN
+        ALTER TABLE users
+        ADD COLUMN query_count SMALLINT;
+    END IF;
+
+    -- Add region column: ISO 3166-1 alpha-2 country the analysis focuses on
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'users'
+        AND column_name = 'region'
+    ) THEN
+        ALTER TABLE users
+        ADD COLUMN region TEXT;
+    END IF;
+
+    -- Add excluded_topics column: topics the analysis should leave out
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'users'
+        AND column_name = 'excluded_topics'
+    ) THEN
+        ALTER TABLE users
+        ADD COLUMN excluded_topics TEXT[];
+    END IF;
 END $$;